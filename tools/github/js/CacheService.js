@@ -1,9 +1,16 @@
+import { createCacheStorage } from './cacheStorage.js';
+import tabSync, { SyncMessage } from './tabSync.js';
+
 /**
  * Advanced caching service for API responses
  * Features:
  * - Typed cache stores (PR, REPO, USER, etc.)
  * - Time-based expiration
  * - Size limits with LRU (least recently used) eviction
+ * - HTTP validators (ETag / Last-Modified) kept for conditional revalidation
+ * - Stale-while-revalidate with per-type stale windows and change subscriptions
+ * - Pluggable persistence (IndexedDB, localStorage or memory, see cacheStorage.js)
+ * - Writes and clears shared with other open tabs (see tabSync.js)
  * - Analytics and debugging
  */
 class CacheService {
@@ -14,16 +21,31 @@ class CacheService {
       misses: 0,
       sets: 0,
       evictions: 0,
+      revalidations: 0,
       byType: {}
     };
 
+    // How long expired entries with HTTP validators are kept for conditional requests
+    this.revalidationRetention = 24 * 60 * 60 * 1000; // 24 hours
+
     // Default cache durations in minutes
     this.defaultDurations = {
       pr: 60, // PR data cached for 1 hour
       repos: 120, // Repository data cached for 2 hours
       org: 240, // Org data cached for 4 hours
       user: 1440, // User data cached for 24 hours (rarely changes)
-      actions: 30 // Actions data cached for 30 minutes
+      actions: 30, // Actions data cached for 30 minutes
+      logs: 7 * 24 * 60 // Excerpts of finished job logs do not change
+    };
+
+    // How long (in minutes) expired data may still be served as stale while it is refetched
+    this.staleWindows = {
+      pr: 30,
+      repos: 120,
+      org: 240,
+      user: 1440,
+      actions: 15,
+      logs: 0
     };
 
     // Cache size limits (number of entries)
@@ -32,11 +54,58 @@ class CacheService {
       repos: 200,
       org: 20,
       user: 100,
-      actions: 100
+      actions: 100,
+      // Kept apart so opening log panels does not push out workflow runs
+      logs: 200
     };
 
+    // Change listeners per "TYPE:key" (or "TYPE:*" for a whole type)
+    this.subscribers = new Map();
+
+    // Background revalidations in flight, keyed by "TYPE:key"
+    this.pendingRevalidations = new Map();
+    this.revalidationListeners = new Set();
+
+    // Cache types written to the persistence backend
+    this.persistTypes = ['PR', 'REPOS', 'ORG', 'USER', 'ACTIONS', 'LOGS'];
+    this.storage = null;
+
     // Initialize cache stores
     this._initCaches();
+    this._setupTabSync();
+  }
+
+  /**
+   * Apply cache writes and clears made by other tabs, so one tab's fetch warms the others
+   */
+  _setupTabSync() {
+    tabSync.subscribe(SyncMessage.CACHE_SET, ({ type, key, entry }) => {
+      const cache = this.caches.get(type);
+      if (!cache) {
+        return;
+      }
+
+      // Keep our own copy if it is newer
+      const existing = cache.get(key);
+      if (existing && existing.createdAt > entry.createdAt) {
+        return;
+      }
+
+      cache.set(key, { ...entry, lastAccessed: Date.now() });
+      this._notifySubscribers(type, key, cache.get(key), { remote: true });
+    });
+
+    tabSync.subscribe(SyncMessage.CACHE_REMOVE, ({ type, key }) => {
+      this.caches.get(type)?.delete(key);
+    });
+
+    tabSync.subscribe(SyncMessage.CACHE_CLEAR, ({ type }) => {
+      if (type === 'ALL') {
+        this.caches.forEach(cache => cache.clear());
+      } else {
+        this.caches.get(type)?.clear();
+      }
+    });
   }
 
   /**
@@ -44,13 +113,13 @@ class CacheService {
    */
   _initCaches() {
     // Initialize cache stores for each type
-    ['PR', 'REPOS', 'ORG', 'USER', 'ACTIONS'].forEach(type => {
+    ['PR', 'REPOS', 'ORG', 'USER', 'ACTIONS', 'LOGS'].forEach(type => {
       this.caches.set(type, new Map());
       this.analytics.byType[type] = { hits: 0, misses: 0, sets: 0, evictions: 0 };
     });
 
-    // Attempt to load persisted cache data
-    this._loadFromLocalStorage();
+    // Attempt to load persisted cache data, resolves once restored
+    this.ready = this._loadFromStorage();
 
     // Set up periodic cleanup
     this._setupCleanupInterval();
@@ -84,7 +153,9 @@ class CacheService {
       'USER': 'USER',
       'USERS': 'USER',
       'ACTION': 'ACTIONS',
-      'ACTIONS': 'ACTIONS'
+      'ACTIONS': 'ACTIONS',
+      'LOG': 'LOGS',
+      'LOGS': 'LOGS'
     };
 
     return typeMap[type] || 'REPOS'; // Default to REPOS if unknown
@@ -94,9 +165,11 @@ class CacheService {
    * Get a value from the cache
    * @param {string} type The cache type (PR, REPOS, USER, etc.)
    * @param {string} key The cache key
+   * @param {Object} [options] Lookup options
+   * @param {boolean} [options.allowStale] Return expired data within the type's stale window, flagged as `isStale`
    * @returns {Object|null} The cached data or null if not found
    */
-  get(type, key) {
+  get(type, key, options = {}) {
     const normalizedType = this._normalizeType(type);
     const cache = this.caches.get(normalizedType);
 
@@ -107,13 +180,21 @@ class CacheService {
 
     const cachedItem = cache.get(key);
 
+    // Serve expired data as stale if the caller can revalidate it, fresh entries are returned below as they are
+    if (options.allowStale && cachedItem && this._isWithinStaleWindow(cachedItem)) {
+      cachedItem.lastAccessed = Date.now();
+      this.analytics.hits++;
+      this.analytics.byType[normalizedType].hits++;
+      return { ...cachedItem, isStale: true };
+    }
+
     // If not in cache or expired
     if (!cachedItem || (cachedItem.expiresAt && cachedItem.expiresAt < Date.now())) {
       this.analytics.misses++;
       this.analytics.byType[normalizedType].misses++;
 
-      // Remove if expired
-      if (cachedItem && cachedItem.expiresAt < Date.now()) {
+      // Remove if expired, unless it can still be served stale or revalidated
+      if (cachedItem && cachedItem.expiresAt < Date.now() && !this._canKeepExpired(cachedItem)) {
         cache.delete(key);
       }
 
@@ -136,8 +217,12 @@ class CacheService {
    * @param {string} key The cache key
    * @param {any} data The data to cache
    * @param {number} [duration] Optional override for cache duration in minutes
+   * @param {Object} [responseMeta] Optional HTTP metadata of the response
+   * @param {string} [responseMeta.etag] Value of the ETag header
+   * @param {string} [responseMeta.lastModified] Value of the Last-Modified header
+   * @param {string} [responseMeta.link] Value of the Link header (pagination)
    */
-  set(type, key, data, duration) {
+  set(type, key, data, duration, responseMeta = {}) {
     const normalizedType = this._normalizeType(type);
     let cache = this.caches.get(normalizedType);
 
@@ -162,6 +247,10 @@ class CacheService {
       createdAt: Date.now(),
       lastAccessed: Date.now(),
       expiresAt,
+      durationMinutes,
+      etag: responseMeta.etag || null,
+      lastModified: responseMeta.lastModified || null,
+      link: responseMeta.link || null,
       type: normalizedType
     });
 
@@ -169,12 +258,171 @@ class CacheService {
     this.analytics.sets++;
     this.analytics.byType[normalizedType].sets++;
 
+    this._notifySubscribers(normalizedType, key, cache.get(key), { remote: false });
+    tabSync.publish(SyncMessage.CACHE_SET, { type: normalizedType, key, entry: cache.get(key) });
+
     // Periodically save to localStorage
-    this._debouncedSaveToLocalStorage();
+    this._debouncedSaveToStorage();
 
     return true;
   }
 
+  /**
+   * Get a cache entry regardless of its expiry, e.g. to revalidate it
+   * @param {string} type The cache type
+   * @param {string} key The cache key
+   * @returns {Object|null} The cache entry or null if not found
+   */
+  peek(type, key) {
+    const cache = this.caches.get(this._normalizeType(type));
+    return cache?.get(key) || null;
+  }
+
+  /**
+   * Extend the expiry of an entry that the server confirmed as unchanged (304)
+   * @param {string} type The cache type
+   * @param {string} key The cache key
+   * @returns {Object|null} The renewed entry or null if not found
+   */
+  renew(type, key) {
+    const normalizedType = this._normalizeType(type);
+    const cachedItem = this.peek(normalizedType, key);
+
+    if (!cachedItem) {
+      return null;
+    }
+
+    const durationMinutes = cachedItem.durationMinutes || this.defaultDurations[normalizedType.toLowerCase()] || 60;
+    cachedItem.expiresAt = Date.now() + (durationMinutes * 60 * 1000);
+    cachedItem.lastAccessed = Date.now();
+    // The data is as current as a fresh response, its age starts over
+    cachedItem.createdAt = Date.now();
+
+    this.analytics.revalidations++;
+    this._debouncedSaveToStorage();
+
+    return cachedItem;
+  }
+
+  /**
+   * Check whether an entry carries validators and is within the revalidation retention
+   */
+  _isRevalidatable(cachedItem) {
+    return !!(cachedItem.etag || cachedItem.lastModified) &&
+      cachedItem.expiresAt + this.revalidationRetention > Date.now();
+  }
+
+  /**
+   * Check whether an entry has expired but may still be served as stale data
+   */
+  _isWithinStaleWindow(cachedItem) {
+    const staleMinutes = this.staleWindows[cachedItem.type?.toLowerCase()] || 0;
+    const now = Date.now();
+    return !!cachedItem.expiresAt && cachedItem.expiresAt <= now &&
+      cachedItem.expiresAt + (staleMinutes * 60 * 1000) > now;
+  }
+
+  /**
+   * Check whether an expired entry is still useful and must not be cleaned up yet
+   */
+  _canKeepExpired(cachedItem) {
+    return this._isWithinStaleWindow(cachedItem) || this._isRevalidatable(cachedItem);
+  }
+
+  /**
+   * Subscribe to writes of a cache entry
+   * @param {string} type The cache type
+   * @param {string} key The cache key, or '*' for every key of the type
+   * @param {Function} listener Called with (entry, key, { remote }) whenever fresh data is stored,
+   *   `remote` is set when the write came from another tab
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(type, key, listener) {
+    const id = `${this._normalizeType(type)}:${key}`;
+    if (!this.subscribers.has(id)) {
+      this.subscribers.set(id, new Set());
+    }
+    this.subscribers.get(id).add(listener);
+
+    return () => this.subscribers.get(id)?.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a specific key and of the whole type
+   */
+  _notifySubscribers(type, key, entry, meta) {
+    [`${type}:${key}`, `${type}:*`].forEach(id => {
+      this.subscribers.get(id)?.forEach(listener => {
+        try {
+          listener(entry, key, meta);
+        } catch (e) {
+          console.error('Error in cache subscriber:', e);
+        }
+      });
+    });
+  }
+
+  /**
+   * Refetch an entry in the background. Concurrent calls for the same entry share
+   * one revalidation. The fetcher is responsible for storing the fresh data
+   * (which notifies subscribers); failures keep the stale data in place.
+   * @param {string} type The cache type
+   * @param {string} key The cache key
+   * @param {Function} fetcher Async function fetching and caching fresh data
+   * @returns {Promise} Resolves with the fetcher result, or null if it failed
+   */
+  revalidate(type, key, fetcher) {
+    const id = `${this._normalizeType(type)}:${key}`;
+    if (this.pendingRevalidations.has(id)) {
+      return this.pendingRevalidations.get(id);
+    }
+
+    const promise = (async () => {
+      try {
+        return await fetcher();
+      } catch (e) {
+        console.warn(`Background revalidation of ${id} failed`, e);
+        return null;
+      } finally {
+        this.pendingRevalidations.delete(id);
+        this._notifyRevalidationListeners();
+      }
+    })();
+
+    this.pendingRevalidations.set(id, promise);
+    this._notifyRevalidationListeners();
+
+    return promise;
+  }
+
+  /**
+   * Check whether any background revalidation is running
+   */
+  isRevalidating() {
+    return this.pendingRevalidations.size > 0;
+  }
+
+  /**
+   * Listen for background revalidations starting and finishing
+   * @param {Function} listener Called with the number of pending revalidations
+   * @returns {Function} Unsubscribe function
+   */
+  onRevalidationChange(listener) {
+    this.revalidationListeners.add(listener);
+    return () => this.revalidationListeners.delete(listener);
+  }
+
+  _notifyRevalidationListeners() {
+    const pending = this.pendingRevalidations.size;
+    this.revalidationListeners.forEach(listener => {
+      try {
+        listener(pending);
+      } catch (e) {
+        console.error('Error in revalidation listener:', e);
+      }
+    });
+  }
+
   /**
    * Remove an item from the cache
    * @param {string} type The cache type
@@ -185,7 +433,12 @@ class CacheService {
     const cache = this.caches.get(normalizedType);
 
     if (cache) {
-      return cache.delete(key);
+      const removed = cache.delete(key);
+      if (removed) {
+        this._debouncedSaveToStorage();
+        tabSync.publish(SyncMessage.CACHE_REMOVE, { type: normalizedType, key });
+      }
+      return removed;
     }
 
     return false;
@@ -200,6 +453,8 @@ class CacheService {
       this.caches.forEach((cache, type) => {
         cache.clear();
       });
+      this._debouncedSaveToStorage();
+      tabSync.publish(SyncMessage.CACHE_CLEAR, { type: 'ALL' });
       return true;
     }
 
@@ -208,6 +463,8 @@ class CacheService {
 
     if (cache) {
       cache.clear();
+      this._debouncedSaveToStorage();
+      tabSync.publish(SyncMessage.CACHE_CLEAR, { type: normalizedType });
       return true;
     }
 
@@ -225,7 +482,7 @@ class CacheService {
       let removed = 0;
 
       cache.forEach((value, key) => {
-        if (value.expiresAt && value.expiresAt < now) {
+        if (value.expiresAt && value.expiresAt < now && !this._canKeepExpired(value)) {
           cache.delete(key);
           removed++;
           totalRemoved++;
@@ -240,6 +497,20 @@ class CacheService {
     return totalRemoved;
   }
 
+  /**
+   * Set the stale window for a specific cache type
+   * @param {string} type The cache type
+   * @param {number} minutes Stale window in minutes (0 disables stale data)
+   */
+  setStaleWindow(type, minutes) {
+    const normalizedType = this._normalizeType(type).toLowerCase();
+    if (minutes >= 0) {
+      this.staleWindows[normalizedType] = minutes;
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Set default duration for a specific cache type
    * @param {string} type The cache type
@@ -300,70 +571,80 @@ class CacheService {
   }
 
   /**
-   * Save cache to localStorage (debounced)
+   * Replace the persistence backend, e.g. with a MemoryStorage in tests
+   * @param {Object} storage Backend implementing load(), save(snapshot) and clear()
+   */
+  async setStorage(storage) {
+    this.storage = storage;
+    await this._saveToStorage();
+  }
+
+  /**
+   * Save cache to the persistence backend (debounced)
    */
-  _debouncedSaveToLocalStorage() {
+  _debouncedSaveToStorage() {
     if (this._saveTimeout) {
       clearTimeout(this._saveTimeout);
     }
 
     this._saveTimeout = setTimeout(() => {
-      this._saveToLocalStorage();
+      this._saveToStorage();
     }, 5000); // Wait 5 seconds of inactivity before saving
   }
 
   /**
-   * Save cache to localStorage
+   * Save a snapshot of all persisted types with their expiry metadata
    */
-  _saveToLocalStorage() {
+  async _saveToStorage() {
     try {
-      // We'll only persist certain caches that are valuable across page loads
-      const persistTypes = ['USER', 'ORG']; // These change less frequently
+      await this.ready;
+      if (!this.storage) {
+        return;
+      }
 
       const persistData = {};
 
-      persistTypes.forEach(type => {
+      this.persistTypes.forEach(type => {
         const cache = this.caches.get(type);
-        if (cache && cache.size > 0) {
-          persistData[type] = Array.from(cache.entries());
-        }
+        persistData[type] = cache ? Array.from(cache.entries()) : [];
       });
 
-      if (Object.keys(persistData).length > 0) {
-        localStorage.setItem('gh-dashboard-cache', JSON.stringify(persistData));
-      }
+      await this.storage.save(persistData);
     } catch (e) {
-      console.warn('Failed to save cache to localStorage', e);
+      console.warn(`Failed to save cache to ${this.storage?.name || 'storage'}`, e);
     }
   }
 
   /**
-   * Load cache from localStorage
+   * Load cache from the best available persistence backend
    */
-  _loadFromLocalStorage() {
+  async _loadFromStorage() {
     try {
-      const saved = localStorage.getItem('gh-dashboard-cache');
-      if (saved) {
-        const data = JSON.parse(saved);
-
-        // Restore each cache type
-        Object.entries(data).forEach(([type, entries]) => {
-          if (Array.isArray(entries)) {
-            const cache = this.caches.get(type) || new Map();
-
-            entries.forEach(([key, value]) => {
-              // Only restore if not expired
-              if (value && (!value.expiresAt || value.expiresAt > Date.now())) {
-                cache.set(key, value);
-              }
-            });
-
-            this.caches.set(type, cache);
-          }
-        });
-      }
+      this.storage = await createCacheStorage();
+      const data = await this.storage.load();
+
+      // Restore each cache type
+      Object.entries(data).forEach(([type, entries]) => {
+        if (Array.isArray(entries)) {
+          const cache = this.caches.get(type) || new Map();
+
+          entries.forEach(([key, value]) => {
+            // Entries written since the page loaded are newer than the persisted ones
+            if (cache.has(key)) {
+              return;
+            }
+
+            // Only restore if not expired or still usable as stale/revalidatable data
+            if (value && (!value.expiresAt || value.expiresAt > Date.now() || this._canKeepExpired(value))) {
+              cache.set(key, value);
+            }
+          });
+
+          this.caches.set(type, cache);
+        }
+      });
     } catch (e) {
-      console.warn('Failed to load cache from localStorage', e);
+      console.warn('Failed to load persisted cache', e);
     }
   }
 }
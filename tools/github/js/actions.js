@@ -1,11 +1,40 @@
 import GitHubActionsAPI from './actionsApi.js';
 import { BaseDashboard } from './baseDashboard.js';
+import cacheService from './CacheService.js';
+import { isAbortError } from './requestScheduler.js';
+import { FilterStore } from './filterStore.js';
+import { getWorkflowTrend } from './workflowHistory.js';
+import { unlockSession } from './sessionLock.js';
+import { loadSettings } from './settings.js';
 import {
   createLoadingSkeletonList,
   createWorkflowItem,
+  createOrgFilters,
   createPanel,
-  createFilterCount
+  createFilterCount,
+  createFlakiestWorkflows,
+  createCiMinutesBreakdown,
+  createJobLogExcerpt,
+  createWorkflowMatrix
 } from './components.js';
+import { buildWorkflowMatrix } from './workflowMatrix.js';
+import { CI_MINUTES_DAYS, getCiMinutesBreakdown } from './workflowTimings.js';
+
+// Filter state as stored in localStorage, presets and the URL hash
+const DEFAULT_FILTERS = {
+  status: [],
+  annotations: [],
+  hideDisabled: ['true'], // Default to hiding disabled workflows
+  orgs: [],
+  searchQuery: '',
+  // Only workflows failing since at least this many days, '' for all
+  failingForDays: ''
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Number of workflows listed in the flakiest workflows panel
+const FLAKIEST_WORKFLOWS_LIMIT = 10;
 
 class ActionsDashboard extends BaseDashboard {
   constructor() {
@@ -19,12 +48,20 @@ class ActionsDashboard extends BaseDashboard {
     this.activeFilters = {
       status: new Set(),
       annotations: new Set(),
-      hideDisabled: new Set(['true']) // Default to hiding disabled workflows
+      hideDisabled: new Set(['true']), // Default to hiding disabled workflows
+      orgs: new Set()
     };
     this.allWorkflows = [];
-    this.storageKey = `${this.storageKeyPrefix}-filters-${this.orgName}`;
+    // Workflows whose job log panel is open, kept open across re-renders
+    this.expandedLogs = new Set();
+    // Workflows whose slowest jobs panel is open
+    this.expandedTimings = new Set();
+    // 'list' of panels per repository or 'grid' of repositories by workflow names
+    this.view = localStorage.getItem('gh-dashboard-actions-view') || 'list';
+    this.storageKey = `${this.storageKeyPrefix}-filters-${this.orgNames.join('+')}`;
 
     this.actions = new GitHubActionsAPI(this.token);
+    this.actions.client.onRateLimitWarning(this.handleRateLimitWarning.bind(this));
 
     // Explicitly set the callback function to ensure it's properly assigned
     const self = this;
@@ -37,39 +74,90 @@ class ActionsDashboard extends BaseDashboard {
       );
     };
 
-    // Restore saved filters
-    this.loadSavedFilters();
+    // Restore saved filters and follow changes from other tabs, history navigation and presets
+    this.filterStore = new FilterStore({ storageKey: this.storageKey, defaults: DEFAULT_FILTERS });
+    this.applyFilterState(this.filterStore.filters);
+    this.filterStore.onExternalChange(filters => this.applyExternalFilters(filters));
 
+    this.setupBackgroundRevalidation();
     this.initialize();
     this.setupEventListeners();
+    this.setupAutoRefresh(() => this.refreshWorkflows(), () => this.actions.rateLimit);
   }
 
-  loadSavedFilters() {
-    try {
-      const savedFilters = localStorage.getItem(this.storageKey);
-      if (savedFilters) {
-        const parsed = JSON.parse(savedFilters);
-        this.activeFilters = {
-          status: new Set(parsed.status || []),
-          annotations: new Set(parsed.annotations || []),
-          hideDisabled: new Set(parsed.hideDisabled || ['true']) // Default to hiding disabled
-        };
-        this.searchQuery = parsed.searchQuery || '';
+  /**
+   * Re-render the matrix from cache once stale Actions data has been refetched in the background
+   */
+  setupBackgroundRevalidation() {
+    this.hasRevalidatedData = false;
+
+    cacheService.subscribe('ACTIONS', '*', () => {
+      if (cacheService.isRevalidating()) {
+        this.hasRevalidatedData = true;
       }
-    } catch (error) {
-      console.warn('Failed to load saved filters:', error);
-    }
+    });
+
+    cacheService.onRevalidationChange(pending => {
+      if (pending === 0 && this.hasRevalidatedData) {
+        this.hasRevalidatedData = false;
+        this.reloadFromCache();
+      }
+    });
+
+    // The leader tab refreshes in the background; follow its cache writes
+    cacheService.subscribe('ACTIONS', '*', (entry, key, { remote } = {}) => {
+      if (!remote) {
+        return;
+      }
+      clearTimeout(this.remoteUpdateTimeout);
+      this.remoteUpdateTimeout = setTimeout(() => this.reloadFromCache(), 2000);
+    });
   }
 
-  saveFilters() {
+  applyFilterState(parsed) {
+    this.activeFilters = {
+      status: new Set(parsed.status || []),
+      annotations: new Set(parsed.annotations || []),
+      hideDisabled: new Set(parsed.hideDisabled || ['true']), // Default to hiding disabled
+      orgs: new Set(parsed.orgs || [])
+    };
+    this.searchQuery = parsed.searchQuery || '';
+    this.failingForDays = parsed.failingForDays || '';
+  }
+
+  /**
+   * Apply filters changed outside the filter bar and bring its buttons in line
+   */
+  applyExternalFilters(filters) {
+    this.applyFilterState(filters);
+    document.querySelectorAll('[data-filter-type]').forEach(btn => {
+      btn.classList.remove('filter-active');
+    });
+    this.updateFilterButtonState();
+    this.applyFiltersAndRender();
+  }
+
+  /**
+   * Current filters as plain values
+   */
+  getFilterState() {
+    return {
+      status: Array.from(this.activeFilters.status),
+      annotations: Array.from(this.activeFilters.annotations),
+      hideDisabled: Array.from(this.activeFilters.hideDisabled),
+      orgs: Array.from(this.activeFilters.orgs),
+      searchQuery: this.searchQuery,
+      failingForDays: this.failingForDays
+    };
+  }
+
+  /**
+   * @param {Object} options - Save options
+   * @param {boolean} options.push - Add a history entry for this change instead of replacing the current one
+   */
+  saveFilters({ push = true } = {}) {
     try {
-      const filtersToSave = {
-        status: Array.from(this.activeFilters.status),
-        annotations: Array.from(this.activeFilters.annotations),
-        hideDisabled: Array.from(this.activeFilters.hideDisabled),
-        searchQuery: this.searchQuery
-      };
-      localStorage.setItem(this.storageKey, JSON.stringify(filtersToSave));
+      this.filterStore.setFilters(this.getFilterState(), { push });
     } catch (error) {
       console.warn('Failed to save filters:', error);
     }
@@ -104,6 +192,48 @@ class ActionsDashboard extends BaseDashboard {
       searchInput.value = this.searchQuery;
       searchInput.addEventListener('input', (e) => {
         this.searchQuery = e.target.value;
+        // Typing replaces the history entry instead of adding one per keystroke
+        this.saveFilters({ push: false });
+        this.applyFiltersAndRender();
+      });
+    }
+
+    // Switch between the list and the grid
+    document.querySelectorAll('[data-actions-view]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.view = btn.dataset.actionsView;
+        localStorage.setItem('gh-dashboard-actions-view', this.view);
+        this.updateViewButtons();
+        this.applyFiltersAndRender();
+      });
+    });
+    this.updateViewButtons();
+
+    // Panels stay open across re-renders, job log panels load their excerpts when opened; `toggle` does not bubble
+    document.addEventListener('toggle', (e) => {
+      if (e.target.matches?.('[data-slowest-jobs]')) {
+        const key = e.target.closest('[data-workflow-key]').dataset.workflowKey;
+        this.expandedTimings[e.target.open ? 'add' : 'delete'](key);
+        return;
+      }
+      if (!e.target.matches?.('[data-job-logs]')) {
+        return;
+      }
+      const key = e.target.closest('[data-workflow-key]').dataset.workflowKey;
+      if (e.target.open) {
+        this.expandedLogs.add(key);
+        this.loadJobLogs(e.target);
+      } else {
+        this.expandedLogs.delete(key);
+      }
+    }, true);
+
+    // Failing streak filter
+    const failingForFilter = document.getElementById('failingForFilter');
+    if (failingForFilter) {
+      failingForFilter.value = this.failingForDays;
+      failingForFilter.addEventListener('change', (e) => {
+        this.failingForDays = e.target.value;
         this.saveFilters();
         this.applyFiltersAndRender();
       });
@@ -114,10 +244,13 @@ class ActionsDashboard extends BaseDashboard {
       this.clearFilters();
     });
 
+    this.setupPresetPicker(this.filterStore, 'actions-dashboard');
+
     // Refresh button
     const refreshBtn = document.getElementById('refreshActions');
     if (refreshBtn) {
       refreshBtn.addEventListener('click', () => {
+        this.cancelPendingRequests('refresh');
         this.loadActionsMatrix(true);
       });
     }
@@ -127,10 +260,13 @@ class ActionsDashboard extends BaseDashboard {
     this.activeFilters.status.clear();
     this.activeFilters.annotations.clear();
     this.activeFilters.hideDisabled = new Set(['true']); // Reset to default (hiding disabled)
+    this.activeFilters.orgs.clear();
     this.searchQuery = '';
+    this.failingForDays = '';
 
     // Update UI
     document.getElementById('workflowSearch').value = '';
+    document.getElementById('failingForFilter').value = '';
     document.querySelectorAll('[data-filter-type]').forEach(btn => {
       btn.classList.remove('filter-active');
     });
@@ -157,12 +293,17 @@ class ActionsDashboard extends BaseDashboard {
       // Apply saved filters on initial load
       this.updateFilterButtonState();
     } catch (error) {
+      if (isAbortError(error)) {
+        return;
+      }
       this.showError("Is the token set correctly?\n" + error.stack);
     }
   }
 
   async loadActionsMatrix(forceRefresh = false) {
     const matrix = document.getElementById('actionsMatrix');
+    // A refresh cancels the previous load, whose results must not replace the new ones
+    const loadId = this.matrixLoadId = (this.matrixLoadId || 0) + 1;
 
     // Show loading state using shared component
     matrix.innerHTML = createLoadingSkeletonList({
@@ -171,33 +312,34 @@ class ActionsDashboard extends BaseDashboard {
     });
 
     try {
-      const repos = await this.loadRepositories();
-
-      const reposWithActions = await Promise.all(
-        repos.map(async repo => {
-          const workflows = await this.actions.getRepositoryWorkflows(this.orgName, repo.name);
-          return {
-            name: repo.name,
-            workflows
-          };
-        })
-      );
+      const reposWithActions = await this.fetchReposWithActions();
+      if (loadId !== this.matrixLoadId) {
+        return;
+      }
 
       // Store all workflows for filtering
-      this.allWorkflows = reposWithActions.filter(repo => repo.workflows.length > 0);
+      this.allWorkflows = reposWithActions;
+      this.renderFlakiestWorkflows();
+      this.renderCiMinutes();
 
       // Apply filters and render
       this.applyFiltersAndRender();
 
       this.updateLastFetchTime();
     } catch (error) {
-      this.showError(`Error loading workflows: ${error.message}`);
+      if (!isAbortError(error)) {
+        this.showError(`Error loading workflows: ${error.message}`);
+      }
     }
   }
 
-  applyFiltersAndRender() {
-    const matrix = document.getElementById('actionsMatrix');
+  /**
+   * Apply the active filters and sort order to all loaded workflows
+   * @returns {{filteredWorkflows: Array, totalWorkflowCount: number}}
+   */
+  getFilteredWorkflows() {
     let filteredWorkflows = [...this.allWorkflows];
+    const now = Date.now();
 
     // Keep track of total count for metrics
     let totalWorkflowCount = 0;
@@ -205,10 +347,16 @@ class ActionsDashboard extends BaseDashboard {
       totalWorkflowCount += repo.workflows.length;
     });
 
+    // Filter by organization
+    if (this.activeFilters.orgs.size > 0) {
+      filteredWorkflows = filteredWorkflows.filter(repo => this.activeFilters.orgs.has(repo.orgName));
+    }
+
     // Filter repositories
     filteredWorkflows = filteredWorkflows.map(repo => {
       const filteredRepo = {
         name: repo.name,
+        orgName: repo.orgName,
         workflows: [...repo.workflows]
       };
 
@@ -244,6 +392,15 @@ class ActionsDashboard extends BaseDashboard {
         });
       }
 
+      // Filter by how long the workflow has been failing
+      if (this.failingForDays) {
+        const minFailingMs = Number(this.failingForDays) * DAY;
+        filteredRepo.workflows = filteredRepo.workflows.filter(workflow => {
+          const { failingSince } = getWorkflowTrend(workflow.history || [workflow.lastRun]);
+          return failingSince && now - failingSince.getTime() > minFailingMs;
+        });
+      }
+
       // Filter by search query
       if (this.searchQuery) {
         const query = this.searchQuery.toLowerCase();
@@ -274,6 +431,138 @@ class ActionsDashboard extends BaseDashboard {
       return newestDateB - newestDateA;
     });
 
+    return { filteredWorkflows, totalWorkflowCount };
+  }
+
+  /**
+   * Load the workflows of all active repositories of every organization, dropping repositories without any
+   * @param {Object} options - Passed on to getRepositoryWorkflows (e.g. `revalidate`)
+   */
+  async fetchReposWithActions(options = {}) {
+    const repos = (await Promise.all(
+      this.orgNames.map(async orgName => (await this.loadRepositories(orgName)).map(repo => ({ ...repo, orgName })))
+    )).flat();
+
+    const reposWithActions = await Promise.all(
+      repos.map(async repo => {
+        const workflows = await this.actions.getRepositoryWorkflows(repo.orgName, repo.name, options);
+        return {
+          name: repo.name,
+          orgName: repo.orgName,
+          workflows
+        };
+      })
+    );
+
+    return reposWithActions.filter(repo => repo.workflows.length > 0);
+  }
+
+  /**
+   * Scheduled refresh: revalidate workflow and run lists and apply the changes
+   */
+  async refreshWorkflows() {
+    const reposWithActions = await this.fetchReposWithActions({ revalidate: true });
+    this.applyWorkflowUpdate(reposWithActions);
+  }
+
+  /**
+   * Rebuild the workflow list from cache, e.g. after another tab or a background revalidation updated it
+   */
+  async reloadFromCache() {
+    try {
+      this.applyWorkflowUpdate(await this.fetchReposWithActions());
+    } catch (error) {
+      if (isAbortError(error)) {
+        return;
+      }
+      this.showError(`Error loading workflows: ${error.message}`);
+    }
+  }
+
+  getWorkflowKey(repo, workflow) {
+    return `${repo.orgName}/${repo.name}/${workflow.workflowName}`;
+  }
+
+  /**
+   * Replace the workflow data, re-rendering only the workflow items that changed
+   * as long as the set and order of visible items stays the same
+   */
+  applyWorkflowUpdate(reposWithActions) {
+    const flatten = repos => repos.flatMap(repo =>
+      repo.workflows.map(workflow => [this.getWorkflowKey(repo, workflow), workflow])
+    );
+    const visibleKeys = () => flatten(this.getFilteredWorkflows().filteredWorkflows).map(([key]) => key).join(',');
+
+    const previous = new Map(flatten(this.allWorkflows).map(([key, workflow]) => [key, JSON.stringify(workflow)]));
+    const current = flatten(reposWithActions);
+    const changed = current.filter(([key, workflow]) => previous.get(key) !== JSON.stringify(workflow));
+    const visibleBefore = visibleKeys();
+
+    this.allWorkflows = reposWithActions;
+    this.updateLastFetchTime();
+    this.renderFlakiestWorkflows();
+    this.renderCiMinutes();
+
+    if (!changed.length && previous.size === current.length) {
+      return;
+    }
+
+    // The grid has no items to patch
+    if (visibleBefore !== visibleKeys() || this.view === 'grid') {
+      this.applyFiltersAndRender();
+      return;
+    }
+
+    const matrix = document.getElementById('actionsMatrix');
+    changed.forEach(([key, workflow]) => {
+      const item = matrix.querySelector(`[data-workflow-key="${CSS.escape(key)}"]`);
+      if (item) {
+        item.outerHTML = this.renderWorkflowItem(workflow, key);
+      }
+    });
+    this.loadOpenJobLogs();
+  }
+
+  /**
+   * Fill the excerpts of a job log panel
+   * @param {HTMLElement} panel - `[data-job-logs]` element of a workflow item
+   */
+  async loadJobLogs(panel) {
+    // Organization and repository names cannot contain slashes, workflow names can
+    const [orgName, repoName] = panel.closest('[data-workflow-key]').dataset.workflowKey.split('/');
+    const placeholders = [...panel.querySelectorAll('[data-job-log]:not([data-loaded])')];
+
+    await Promise.all(placeholders.map(async placeholder => {
+      placeholder.dataset.loaded = 'true';
+      try {
+        const excerpt = await this.actions.getJobLogExcerpt(
+          orgName,
+          repoName,
+          placeholder.dataset.jobId,
+          placeholder.dataset.stepName
+        );
+        placeholder.innerHTML = createJobLogExcerpt(excerpt);
+      } catch (error) {
+        if (!isAbortError(error)) {
+          throw error;
+        }
+        // Cancelled by a refresh, load again when shown next
+        delete placeholder.dataset.loaded;
+      }
+    }));
+  }
+
+  /**
+   * Load the excerpts of job log panels rendered open
+   */
+  loadOpenJobLogs() {
+    document.querySelectorAll('#actionsMatrix [data-job-logs][open]').forEach(panel => this.loadJobLogs(panel));
+  }
+
+  applyFiltersAndRender() {
+    const matrix = document.getElementById('actionsMatrix');
+    const { filteredWorkflows, totalWorkflowCount } = this.getFilteredWorkflows();
+
     // Count filtered workflows for metrics
     let filteredWorkflowCount = 0;
     filteredWorkflows.forEach(repo => {
@@ -290,9 +579,64 @@ class ActionsDashboard extends BaseDashboard {
           <p class="text-gray-500 dark:text-gray-400 text-center">No workflows match the current filters.</p>
         </div>
       `;
+    } else if (this.view === 'grid') {
+      matrix.innerHTML = createWorkflowMatrix(buildWorkflowMatrix(filteredWorkflows), {
+        getStatusColor: this.actions.getStatusColor.bind(this.actions),
+        getRepoLabel: repo => this.isMultiOrg() ? `${repo.orgName}/${repo.name}` : repo.name
+      });
     } else {
       matrix.innerHTML = filteredWorkflows.map(repo => this.renderRepoWorkflows(repo)).join('');
+      this.loadOpenJobLogs();
+    }
+  }
+
+  updateViewButtons() {
+    document.querySelectorAll('[data-actions-view]').forEach(btn => {
+      this.updateFilterButtonClass(btn, btn.dataset.actionsView === this.view);
+    });
+  }
+
+  /**
+   * Rank the enabled workflows of all organizations by flakiness, independent of the filters
+   */
+  renderFlakiestWorkflows() {
+    const container = document.getElementById('flakiestWorkflows');
+    if (!container) {
+      return;
     }
+
+    const entries = this.allWorkflows
+      .flatMap(repo => repo.workflows
+        .filter(workflow => workflow.isEnabled !== false && workflow.flakiness?.isFlaky)
+        .map(workflow => ({
+          key: this.getWorkflowKey(repo, workflow),
+          repoLabel: this.isMultiOrg() ? `${repo.orgName}/${repo.name}` : repo.name,
+          workflow,
+          url: workflow.workflowPath ?
+            `https://github.com/${repo.orgName}/${repo.name}/actions/workflows/${workflow.workflowPath.split('/').pop()}` :
+            workflow.lastRun.html_url
+        })))
+      .sort((a, b) => b.workflow.flakiness.score - a.workflow.flakiness.score ||
+        b.workflow.flakiness.flakyCommits - a.workflow.flakiness.flakyCommits)
+      .slice(0, FLAKIEST_WORKFLOWS_LIMIT);
+
+    container.innerHTML = createFlakiestWorkflows(entries);
+  }
+
+  /**
+   * Show where the CI time of all organizations went, independent of the filters
+   */
+  renderCiMinutes() {
+    const container = document.getElementById('ciMinutes');
+    if (!container) {
+      return;
+    }
+
+    const breakdown = getCiMinutesBreakdown(this.allWorkflows, {
+      getRepoLabel: repo => this.isMultiOrg() ? `${repo.orgName}/${repo.name}` : repo.name,
+      historyLength: loadSettings().runHistoryLength
+    });
+    container.innerHTML = createCiMinutesBreakdown(breakdown, { days: CI_MINUTES_DAYS });
   }
 
   updateFilterCounts(filtered, total) {
@@ -301,7 +645,9 @@ class ActionsDashboard extends BaseDashboard {
       this.activeFilters.status.size +
       this.activeFilters.annotations.size +
       this.activeFilters.hideDisabled.size +
-      (this.searchQuery ? 1 : 0);
+      this.activeFilters.orgs.size +
+      (this.searchQuery ? 1 : 0) +
+      (this.failingForDays ? 1 : 0);
 
     // Use shared component for filter count
     filterCountsElement.innerHTML = createFilterCount(filtered, total, activeFilterCount);
@@ -332,32 +678,46 @@ class ActionsDashboard extends BaseDashboard {
       }
     }
 
+    // Organization filters only make sense with several organizations
+    const orgFilters = document.getElementById('orgFilters');
+    if (orgFilters) {
+      orgFilters.innerHTML = this.isMultiOrg() ? createOrgFilters(this.orgNames, this.activeFilters.orgs) : '';
+    }
+
     // Update search input
     const searchInput = document.getElementById('workflowSearch');
     if (searchInput) {
       searchInput.value = this.searchQuery;
     }
+
+    const failingForFilter = document.getElementById('failingForFilter');
+    if (failingForFilter) {
+      failingForFilter.value = this.failingForDays;
+    }
   }
 
   renderRepoWorkflows(repo) {
     // Use the shared panel component for the container
     return createPanel(
       `<div class="space-y-3">
-        ${repo.workflows.map(workflow => this.renderWorkflowItem(workflow)).join('')}
+        ${repo.workflows.map(workflow => this.renderWorkflowItem(workflow, this.getWorkflowKey(repo, workflow))).join('')}
       </div>`,
       {
-        heading: `${repo.name} <span class="text-sm text-gray-500 dark:text-gray-400">${repo.workflows.length} workflow${repo.workflows.length !== 1 ? 's' : ''}</span>`,
+        heading: `${this.isMultiOrg() ? `<span class="text-gray-500 dark:text-gray-400">${repo.orgName}/</span>` : ''}${repo.name} <span class="text-sm text-gray-500 dark:text-gray-400">${repo.workflows.length} workflow${repo.workflows.length !== 1 ? 's' : ''}</span>`,
         extraClasses: "bg-white dark:bg-gray-800 p-4 rounded-lg shadow"
       }
     );
   }
 
-  renderWorkflowItem(workflow) {
+  renderWorkflowItem(workflow, key) {
     // Use the shared component for workflow items
     return createWorkflowItem(workflow, {
+      key,
       getStatusColor: this.actions.getStatusColor.bind(this.actions),
       getFailureReason: this.getFailureReason.bind(this),
-      renderAnnotations: this.renderAnnotations.bind(this)
+      renderAnnotations: this.renderAnnotations.bind(this),
+      logsExpanded: this.expandedLogs.has(key),
+      timingsExpanded: this.expandedTimings.has(key)
     });
   }
 
@@ -415,4 +775,5 @@ class ActionsDashboard extends BaseDashboard {
   }
 }
 
-new ActionsDashboard();
+// Ask for the token passphrase before anything is loaded
+unlockSession().then(() => new ActionsDashboard());
@@ -1,10 +1,25 @@
 import errorService, { ErrorCategory, ErrorSeverity } from './ErrorService.js';
 import cacheService from './CacheService.js';
+import GitHubClient from './githubClient.js';
+import { MAX_PER_PAGE } from './paginator.js';
+import { RequestPriority, isAbortError } from './requestScheduler.js';
+import { loadSettings } from './settings.js';
+import { getFlakiness, toHistoryRun } from './workflowHistory.js';
+import { getLogExcerpt } from './jobLog.js';
+import { getJobTimeMs, getSlowestJobs } from './workflowTimings.js';
+
+// Checks still running are looked up again soon, settled ones live as long as other Actions data
+const PENDING_CHECKS_CACHE_MINUTES = 1;
 
 class GitHubActionsAPI {
-  constructor(token) {
-    this.token = token;
-    this.baseUrl = 'https://api.github.com';
+  /**
+   * @param {string} token - GitHub personal access token
+   * @param {Object} options - Options
+   * @param {GitHubClient} options.client - Share the client (and its rate limit tracking) of another API class
+   */
+  constructor(token, options = {}) {
+    // Auth, caching, pagination and rate limit events, see githubClient.js
+    this.client = options.client || new GitHubClient({ token, cacheType: 'ACTIONS' });
     this.hasShownScopeWarning = false;
     this.onScopeWarning = null;
 
@@ -16,116 +31,15 @@ class GitHubActionsAPI {
    * Configure caching behavior
    */
   setupCacheConfig() {
-    // We can adjust cache durations based on needs
-    const userSettings = {
-      cacheTime: parseInt(localStorage.getItem('gh-dashboard-actions-cache-minutes')) || null
-    };
-
-    // Apply custom cache duration if user has set it
-    if (userSettings.cacheTime && !isNaN(userSettings.cacheTime)) {
-      cacheService.setDefaultDuration('actions', userSettings.cacheTime);
-    }
+    // Cache duration of Actions data from the settings
+    cacheService.setDefaultDuration('actions', loadSettings().cacheMinutes.actions);
   }
 
   /**
-   * Generate a cache key from the URL and any relevant options
+   * Last seen rate limit `{ remaining, resetTime }`, used by the refresh scheduler
    */
-  generateCacheKey(url, options = {}) {
-    return url;
-  }
-
-  async fetchWithRateLimit(url, options = {}) {
-    const cacheKey = this.generateCacheKey(url, options);
-
-    // Try to get from cache first
-    const cachedData = cacheService.get('actions', cacheKey);
-    if (cachedData) {
-      return cachedData.data;
-    }
-
-    try {
-      const response = await fetch(url, {
-        ...options,
-        headers: {
-          'Authorization': `token ${this.token}`,
-          'Accept': 'application/vnd.github.v3+json',
-          ...options.headers
-        }
-      });
-
-      // Handle rate limit detection
-      const remaining = parseInt(response.headers.get('x-ratelimit-remaining') || '0');
-      const resetTime = parseInt(response.headers.get('x-ratelimit-reset') || '0') * 1000;
-      const resetDate = new Date(resetTime);
-
-      if (!response.ok) {
-        // Special handling for rate limits
-        if (response.status === 403 && remaining === 0) {
-          const error = new Error(`GitHub API Rate Limit exceeded. Resets at ${resetDate}`);
-          error.status = response.status;
-          error.resetTime = resetDate;
-
-          errorService.logError(`GitHub API Rate Limit exceeded. Resets at ${resetDate}`, {
-            category: ErrorCategory.RATE_LIMIT,
-            severity: ErrorSeverity.ERROR,
-            context: {
-              endpoint: url,
-              resetTime: resetDate,
-              status: response.status
-            }
-          });
-
-          throw error;
-        }
-
-        // Handle other API errors with detailed parsing
-        const responseText = await response.text();
-        let responseData = {};
-        try {
-          responseData = JSON.parse(responseText);
-        } catch (e) {
-          // Text wasn't JSON, use as is
-        }
-
-        // Build an error message that includes documentation_url if available
-        let errorMessage = responseData.message || response.statusText || 'Unknown error';
-        if (responseData.documentation_url) {
-          errorMessage += ` (See: ${responseData.documentation_url})`;
-        }
-
-        const error = new Error(`GitHub API Error: ${errorMessage}`);
-        error.status = response.status;
-        error.response = responseData;
-        error.documentationUrl = responseData.documentation_url; // Store separately for programmatic access
-
-        // Log through Error Service with appropriate category
-        const category =
-          response.status === 401 || response.status === 403 ? ErrorCategory.AUTH :
-            response.status === 404 ? ErrorCategory.API :
-              ErrorCategory.NETWORK;
-
-        errorService.logApiError(error, url, options);
-
-        throw error;
-      }
-
-      const data = await response.json();
-
-      // Store in cache with appropriate type
-      cacheService.set('actions', cacheKey, data);
-
-      return data;
-    } catch (error) {
-      // For network errors (fetch failures) that aren't API errors
-      if (!error.status) {
-        errorService.logError(`Network Error: ${error.message}`, {
-          error,
-          category: ErrorCategory.NETWORK,
-          context: { endpoint: url }
-        });
-      }
-      throw error;
-    }
+  get rateLimit() {
+    return this.client.rateLimit;
   }
 
   /**
@@ -145,9 +59,7 @@ class GitHubActionsAPI {
 
       // Prefetch workflows data
       if (options.workflows) {
-        const workflowsPromise = this.fetchWithRateLimit(
-          `${this.baseUrl}/repos/${orgName}/${repoName}/actions/workflows`
-        ).catch(err => {
+        const workflowsPromise = this.getWorkflows(orgName, repoName, { priority: RequestPriority.LOW }).catch(err => {
           // Silently log prefetch errors but don't propagate them
           errorService.logError(`Prefetch workflows failed for ${orgName}/${repoName}`, {
             error: err,
@@ -174,6 +86,20 @@ class GitHubActionsAPI {
     }
   }
 
+  /**
+   * All workflows of a repository; prefetches and the dashboard share this request and its cache entries
+   * @param {string} orgName - Organization name
+   * @param {string} repoName - Repository name
+   * @param {Object} options - Request options, `revalidate` and `priority`
+   */
+  getWorkflows(orgName, repoName, options = {}) {
+    return this.client.fetchAllPages(
+      `/repos/${orgName}/${repoName}/actions/workflows`,
+      options,
+      { getItems: data => data.workflows }
+    );
+  }
+
   /**
    * Prefetch common dashboard data to improve perceived performance
    * This method fetches and caches data that will likely be needed soon
@@ -191,15 +117,16 @@ class GitHubActionsAPI {
         const prefetchRequests = [];
 
         // First fetch core organization data
-        prefetchRequests.push(this.fetchWithRateLimit(`/orgs/${orgName}`));
+        prefetchRequests.push(this.client.request(`/orgs/${orgName}`, { priority: RequestPriority.LOW }));
 
         // Get repositories (limited to most active ones to avoid rate limits)
         let repos = priorityRepos;
         if (!repos.length) {
           try {
             // If no priority repos specified, get most recently updated repos
-            const allRepos = await this.fetchWithRateLimit(
-              `/orgs/${orgName}/repos?sort=updated&direction=desc&per_page=10`
+            const allRepos = await this.client.request(
+              `/orgs/${orgName}/repos?sort=updated&direction=desc&per_page=10`,
+              { priority: RequestPriority.LOW }
             );
             repos = allRepos.map(repo => repo.name);
           } catch (err) {
@@ -218,17 +145,14 @@ class GitHubActionsAPI {
           try {
             // Prefetch workflow runs
             prefetchRequests.push(
-              this.fetchWithRateLimit(
-                `/repos/${orgName}/${repoName}/actions/runs?per_page=10`
+              this.client.request(
+                `/repos/${orgName}/${repoName}/actions/runs?per_page=10`,
+                { priority: RequestPriority.LOW }
               )
             );
 
             // Also prefetch workflows to get the workflow names
-            prefetchRequests.push(
-              this.fetchWithRateLimit(
-                `/repos/${orgName}/${repoName}/actions/workflows`
-              )
-            );
+            prefetchRequests.push(this.getWorkflows(orgName, repoName, { priority: RequestPriority.LOW }));
           } catch (err) {
             // Non-critical error, just log it
             errorService.logError(`Failed to prefetch data for repo: ${repoName}`, {
@@ -240,8 +164,9 @@ class GitHubActionsAPI {
           }
         });
 
-        // Start prefetching in parallel
+        // Start prefetching in parallel, the scheduler runs these after visible content
         await Promise.allSettled(prefetchWorkflowPromises);
+        await Promise.allSettled(prefetchRequests);
 
         // Log prefetch analytics
         const timeElapsed = Math.round(performance.now() - startTime);
@@ -264,11 +189,15 @@ class GitHubActionsAPI {
 
   async getJobDetails(orgName, repoName, jobId) {
     try {
-      const job = await this.fetchWithRateLimit(
-        `${this.baseUrl}/repos/${orgName}/${repoName}/actions/jobs/${jobId}`
+      const job = await this.client.request(
+        `/repos/${orgName}/${repoName}/actions/jobs/${jobId}`
       );
       return job;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
       // Log error but allow graceful fallback
       errorService.logError(`Failed to fetch job details for job ID ${jobId}`, {
         error,
@@ -283,10 +212,12 @@ class GitHubActionsAPI {
 
   async getRunDetails(orgName, repoName, runId) {
     try {
-      const jobs = await this.fetchWithRateLimit(
-        `${this.baseUrl}/repos/${orgName}/${repoName}/actions/runs/${runId}/jobs`
+      const jobs = await this.client.fetchAllPages(
+        `/repos/${orgName}/${repoName}/actions/runs/${runId}/jobs`,
+        {},
+        { getItems: data => data.jobs }
       );
-      const failedJobs = jobs.jobs.filter(job => job.conclusion === 'failure');
+      const failedJobs = jobs.filter(job => job.conclusion === 'failure');
 
       // Get detailed information for failed jobs
       const detailedJobs = await Promise.all(
@@ -295,6 +226,7 @@ class GitHubActionsAPI {
 
       return {
         failureDetails: detailedJobs.filter(Boolean).map(job => ({
+          id: job.id,
           name: job.name,
           steps: job.steps.filter(step => step.conclusion === 'failure').map(step => ({
             name: step.name,
@@ -303,9 +235,15 @@ class GitHubActionsAPI {
           }))
         })),
         // Return all job IDs to be used for annotations
-        jobIds: jobs.jobs.map(job => job.id)
+        jobIds: jobs.map(job => job.id),
+        slowestJobs: getSlowestJobs(jobs),
+        jobTimeMs: getJobTimeMs(jobs)
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
       // Log error with better context
       errorService.logError(`Failed to fetch run details for run ID ${runId}`, {
         error,
@@ -314,7 +252,51 @@ class GitHubActionsAPI {
         context: { orgName, repoName, runId }
       });
 
-      return { failureDetails: [], jobIds: [] };
+      return { failureDetails: [], jobIds: [], slowestJobs: [], jobTimeMs: null };
+    }
+  }
+
+  /**
+   * Download the log of a failed job and extract the error lines of the failed step, see jobLog.js
+   * @param {string} orgName - Organization name
+   * @param {string} repoName - Repository name
+   * @param {number} jobId - Job ID
+   * @param {string} stepName - Name of the failed step
+   * @returns {Promise<Object>} Excerpt `{ tool, lines, truncated }`, or `{ error }` if the log cannot be read
+   */
+  async getJobLogExcerpt(orgName, repoName, jobId, stepName = '') {
+    const cacheKey = `job-log-excerpt:${orgName}/${repoName}/${jobId}/${stepName}`;
+    await cacheService.ready;
+    const cached = cacheService.get('logs', cacheKey);
+    if (cached) {
+      return cached.data;
+    }
+
+    try {
+      const log = await this.client.requestText(
+        `/repos/${orgName}/${repoName}/actions/jobs/${jobId}/logs`,
+        { priority: RequestPriority.HIGH }
+      );
+      const excerpt = getLogExcerpt(log, stepName);
+      cacheService.set('logs', cacheKey, excerpt);
+      return excerpt;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
+      errorService.logError(`Failed to fetch the log of job ID ${jobId}`, {
+        error,
+        category: ErrorCategory.API,
+        severity: ErrorSeverity.WARNING,
+        context: { orgName, repoName, jobId }
+      });
+
+      // Logs expire with the repository's retention period
+      const reason = error.status === 404 || error.status === 410 ?
+        'The log is no longer available' :
+        'The log could not be downloaded (the token needs actions:read)';
+      return { error: reason };
     }
   }
 
@@ -325,8 +307,8 @@ class GitHubActionsAPI {
       // Fetch annotations for each job through the check-runs endpoint
       for (const jobId of jobIds) {
         try {
-          const jobAnnotations = await this.fetchWithRateLimit(
-            `${this.baseUrl}/repos/${orgName}/${repoName}/check-runs/${jobId}/annotations`
+          const jobAnnotations = await this.client.fetchAllPages(
+            `/repos/${orgName}/${repoName}/check-runs/${jobId}/annotations`
           );
 
           const mappedAnnotations = jobAnnotations.map(annotation => ({
@@ -339,6 +321,10 @@ class GitHubActionsAPI {
 
           allAnnotations.push(...mappedAnnotations);
         } catch (error) {
+          if (isAbortError(error)) {
+            throw error;
+          }
+
           // Log individual job annotation errors but continue with others
           errorService.logError(`Failed to fetch annotations for job ID ${jobId}`, {
             error,
@@ -351,6 +337,10 @@ class GitHubActionsAPI {
 
       return allAnnotations;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
       // Improved check for 403/404 errors and ensure callback is triggered
       if ((error.message.includes('GitHub API Error') ||
         error.status === 403 ||
@@ -379,17 +369,26 @@ class GitHubActionsAPI {
     }
   }
 
-  async getRepositoryWorkflows(orgName, repoName) {
+  /**
+   * Get the workflows of a repository with their latest run, failure details, annotations and slowest jobs,
+   * the run history (newest first) for trends and the flakiness computed from it, see workflowHistory.js
+   * @param {string} orgName - Organization name
+   * @param {string} repoName - Repository name
+   * @param {Object} options - Options
+   * @param {boolean} options.revalidate - Revalidate workflow and run lists even if cached
+   * @param {number} options.historyLength - Number of recent runs to fetch per workflow, defaults to the settings
+   */
+  async getRepositoryWorkflows(orgName, repoName, options = {}) {
+    const { revalidate = false, historyLength = loadSettings().runHistoryLength } = options;
     try {
-      const workflows = await this.fetchWithRateLimit(
-        `${this.baseUrl}/repos/${orgName}/${repoName}/actions/workflows`
-      );
+      const workflows = await this.getWorkflows(orgName, repoName, { revalidate, priority: RequestPriority.HIGH });
 
       const latestRuns = await Promise.all(
-        workflows.workflows.map(async workflow => {
+        workflows.map(async workflow => {
           try {
-            const runs = await this.fetchWithRateLimit(
-              `${this.baseUrl}/repos/${orgName}/${repoName}/actions/workflows/${workflow.id}/runs?per_page=1`
+            const runs = await this.client.request(
+              `/repos/${orgName}/${repoName}/actions/workflows/${workflow.id}/runs?per_page=${Math.min(historyLength, MAX_PER_PAGE)}`,
+              { revalidate, priority: RequestPriority.HIGH }
             );
             if (!runs.workflow_runs[0]) {
               return null;
@@ -405,17 +404,28 @@ class GitHubActionsAPI {
               runDetails.jobIds
             );
 
+            const history = runs.workflow_runs.map(toHistoryRun);
+
             return {
               workflowName: workflow.name,
+              workflowPath: workflow.path,
               workflowState: workflow.state,
               isEnabled: workflow.state === "active",
               lastRun: {
                 ...lastRun,
                 failureDetails: runDetails.failureDetails,
+                slowestJobs: runDetails.slowestJobs,
+                jobTimeMs: runDetails.jobTimeMs,
                 annotations
-              }
+              },
+              history,
+              flakiness: getFlakiness(history)
             };
           } catch (error) {
+            if (isAbortError(error)) {
+              throw error;
+            }
+
             // Log workflow-specific error but continue with other workflows
             errorService.logError(`Failed to fetch runs for workflow ${workflow.name}`, {
               error,
@@ -432,6 +442,10 @@ class GitHubActionsAPI {
       // Filter out nulls from workflows that had errors
       return latestRuns.filter(run => run !== null);
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
       // Log comprehensive error for repository workflows
       errorService.logError(`Failed to fetch workflows for ${repoName}`, {
         error,
@@ -444,6 +458,86 @@ class GitHubActionsAPI {
     }
   }
 
+  /**
+   * Get the CI state of a commit from its combined status (commit statuses
+   * posted by external CI) and its check runs (GitHub Actions and apps)
+   * @param {string} orgName - Organization name
+   * @param {string} repoName - Repository name
+   * @param {string} sha - Commit SHA, e.g. the head of a pull request
+   * @returns {Promise<Object>} `{ state, total, failing, pending }`, state is
+   *   'success', 'failure', 'pending' or null when the commit has no checks
+   */
+  async getCommitChecks(orgName, repoName, sha) {
+    const cacheKey = `commit-checks:${orgName}/${repoName}@${sha}`;
+    await cacheService.ready;
+    const cached = cacheService.get('actions', cacheKey);
+    if (cached) {
+      return cached.data;
+    }
+
+    try {
+      // The cached summary decides when to look again, the responses behind it are always revalidated
+      const [combinedStatus, checkRuns] = await Promise.all([
+        this.client.request(`/repos/${orgName}/${repoName}/commits/${sha}/status`, { revalidate: true }),
+        this.client.fetchAllPages(
+          `/repos/${orgName}/${repoName}/commits/${sha}/check-runs`,
+          { revalidate: true },
+          { getItems: data => data.check_runs }
+        )
+      ]);
+
+      const checks = this.summarizeChecks(combinedStatus.statuses || [], checkRuns);
+      cacheService.set('actions', cacheKey, checks, checks.state === 'pending' ? PENDING_CHECKS_CACHE_MINUTES : undefined);
+      return checks;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
+      errorService.logError(`Failed to fetch checks for ${repoName}@${sha.slice(0, 7)}`, {
+        error,
+        category: ErrorCategory.API,
+        severity: ErrorSeverity.WARNING,
+        context: { orgName, repoName, sha }
+      });
+
+      return { state: null, total: 0, failing: [], pending: [] };
+    }
+  }
+
+  /**
+   * Reduce commit statuses and check runs to one state with the names of failing and pending checks
+   */
+  summarizeChecks(statuses, checkRuns) {
+    const failingConclusions = ['failure', 'timed_out', 'action_required', 'startup_failure'];
+    const checks = [
+      ...statuses.map(status => ({
+        name: status.context,
+        failing: status.state === 'failure' || status.state === 'error',
+        pending: status.state === 'pending'
+      })),
+      ...checkRuns.map(run => ({
+        name: run.name,
+        failing: run.status === 'completed' && failingConclusions.includes(run.conclusion),
+        pending: run.status !== 'completed'
+      }))
+    ];
+
+    const failing = checks.filter(check => check.failing).map(check => check.name);
+    const pending = checks.filter(check => check.pending).map(check => check.name);
+
+    let state = null;
+    if (failing.length) {
+      state = 'failure';
+    } else if (pending.length) {
+      state = 'pending';
+    } else if (checks.length) {
+      state = 'success';
+    }
+
+    return { state, total: checks.length, failing, pending };
+  }
+
   getStatusColor(status, conclusion) {
     if (status === 'in_progress') return 'yellow';
     if (status === 'completed') {
@@ -1,10 +1,31 @@
 import { FilterStore } from './filterStore.js';
 import { BaseDashboard } from './baseDashboard.js';
+import cacheService from './CacheService.js';
+import { isAbortError } from './requestScheduler.js';
+import { ErrorSeverity } from './ErrorService.js';
+import { formatDuration, getPRTiming, median } from './prMetrics.js';
+import { loadSettings } from './settings.js';
+import { unlockSession } from './sessionLock.js';
+import {
+  getSearchSuggestions,
+  matchesSearchQuery,
+  parseSearchQuery
+} from './searchQuery.js';
 import {
   createLoadingSkeletonList,
-  createPullRequestItem
+  createOrgFilters,
+  createPullRequestItem,
+  createReviewQueueError,
+  createSearchSuggestions
 } from './components.js';
 
+/**
+ * Tag pull requests with their organization, PR lists cached before multi-org support lack it
+ */
+function withOrgName(pullRequests, orgName) {
+  return pullRequests.map(pr => pr.orgName ? pr : { ...pr, orgName });
+}
+
 class Dashboard extends BaseDashboard {
   constructor() {
     // Add initialization tracking
@@ -19,15 +40,20 @@ class Dashboard extends BaseDashboard {
       return;
     }
 
-    // Add cache duration property
-    this.cacheDuration = parseInt(localStorage.getItem('gh-dashboard-pr-cache-duration')) || 60; // Default 60 minutes
+    const settings = loadSettings();
+
+    // PR list cache duration in minutes
+    this.cacheDuration = settings.cacheMinutes.pr;
 
-    // Add repos per page configuration
-    this.reposPerPage = parseInt(localStorage.getItem('gh-dashboard-repos-per-page')) || 20;
+    // Number of recently active repositories shown
+    this.reposPerPage = settings.reposPerPage;
     if (this.github) {
       this.github.reposPerPage = this.reposPerPage;
     }
 
+    // PRs of these accounts are never shown
+    this.hiddenBotAccounts = new Set(settings.hiddenBotAccounts.map(login => login.toLowerCase()));
+
     this.hideRenovate = false;
     this.hideDependabot = false;
     this.pullRequests = [];
@@ -35,29 +61,102 @@ class Dashboard extends BaseDashboard {
     this.sortNewest = true;
     this.activeFilters = {
       labels: new Set(),
-      reviewState: new Set()
+      reviewState: new Set(),
+      ciState: new Set(),
+      orgs: new Set()
     };
     this.filterStore = new FilterStore();
     this.labelOperator = 'OR'; // New property for label filter operation
 
+    // Stale PR and review SLA thresholds
+    this.thresholds = {
+      staleDays: settings.staleDays,
+      reviewSlaHours: settings.reviewSlaHours
+    };
+
+    // Parsed search query and autocomplete state
+    this.searchAst = null;
+    this.searchSuggestions = null;
+    this.activeSuggestion = -1;
+
+    // Review queue: the token's user, their teams and the reviews they have already seen
+    this.prView = localStorage.getItem('gh-dashboard-pr-view') || 'all';
+    this.currentUser = null;
+    // Message of the last failed loadCurrentUser, shown by the review queue
+    this.currentUserError = null;
+    this.userTeams = new Set();
+    this.seenReviews = JSON.parse(localStorage.getItem('gh-dashboard-seen-reviews') || '{}');
+
     // Restore saved filters
+    this.applySavedFilters();
+
+    this.initialize();
+    this.setupEventListeners();
+    this.setupStatsToggle();
+
+    // Follow filter changes made in other tabs or by back/forward navigation
+    this.filterStore.onExternalChange(() => {
+      this.applySavedFilters();
+      this.syncFilterControls();
+      this.renderPullRequests();
+    });
+
+    // Update changed rows whenever a background refresh (here or in another tab) stores a fresh PR list
+    this.orgNames.forEach(orgName => {
+      cacheService.subscribe('PR', `open-prs-${orgName}`, (entry) => {
+        if (this.isLoadingPRs) {
+          return;
+        }
+        this.applyPullRequestUpdate(this.mergeOrgPullRequests(orgName, entry.data));
+      });
+    });
+
+    this.setupAutoRefresh(() => this.refreshPullRequests());
+
+    // Try to load cached data immediately
+    this.loadCachedData();
+    this.removeLegacyPRSnapshots();
+  }
+
+  /**
+   * Copy the filter store state onto the dashboard
+   */
+  applySavedFilters() {
     const savedFilters = this.filterStore.filters;
     this.hideRenovate = savedFilters.hideRenovate;
     this.hideDependabot = savedFilters.hideDependabot;
     this.sortNewest = savedFilters.sortNewest;
     this.activeFilters = {
       labels: new Set(savedFilters.labels),
-      reviewState: new Set(savedFilters.reviewStates)
+      reviewState: new Set(savedFilters.reviewStates),
+      ciState: new Set(savedFilters.ciStates || []),
+      orgs: new Set(savedFilters.orgs || [])
     };
     this.searchQuery = savedFilters.search;
     this.labelOperator = savedFilters.labelOperator || 'OR';
+  }
 
-    this.initialize();
-    this.setupEventListeners();
-    this.setupStatsToggle();
+  /**
+   * Bring buttons and inputs of the filter bar in line with the current filter state
+   */
+  syncFilterControls() {
+    const hideRenovateBtn = document.getElementById('hideRenovateBtn');
+    const hideDependabotBtn = document.getElementById('hideDependabotBtn');
+    const hideDraftBtn = document.getElementById('hideDraftBtn');
+    const hideDraft = this.filterStore.filters.hideDraft;
 
-    // Try to load cached data immediately
-    this.loadCachedData();
+    hideRenovateBtn.textContent = this.hideRenovate ? 'Show Renovate PRs' : 'Hide Renovate PRs';
+    hideDependabotBtn.textContent = this.hideDependabot ? 'Show Dependabot PRs' : 'Hide Dependabot PRs';
+    hideDraftBtn.textContent = hideDraft ? 'Show Draft PRs' : 'Hide Draft PRs';
+    this.updateFilterButtonClass(hideRenovateBtn, this.hideRenovate);
+    this.updateFilterButtonClass(hideDependabotBtn, this.hideDependabot);
+    this.updateFilterButtonClass(hideDraftBtn, hideDraft);
+
+    document.getElementById('sortPRsBtn').textContent = this.sortNewest ? 'Sort by Oldest' : 'Sort by Newest';
+    document.getElementById('labelOperatorToggle').textContent = this.labelOperator;
+    document.getElementById('prSearch').value = this.searchQuery;
+
+    this.updateFilterButtons();
   }
 
   setupStatsToggle() {
@@ -96,11 +195,40 @@ class Dashboard extends BaseDashboard {
       await this.loadOrganization();
       await Promise.all([
         this.loadRepositories(),
-        this.loadPullRequests()
+        this.loadPullRequests(),
+        this.loadCurrentUser()
       ]);
       this.updateLastFetchTime();
     } catch (error) {
-      this.showError(error.message);
+      if (!isAbortError(error)) {
+        this.showError(error.message);
+      }
+    }
+  }
+
+  /**
+   * Find out who the token belongs to, needed for the review queue
+   */
+  async loadCurrentUser() {
+    try {
+      const [user, ...teams] = await Promise.all([
+        this.github.getAuthenticatedUser(),
+        ...this.orgNames.map(orgName => this.github.getUserTeams(orgName))
+      ]);
+      this.currentUser = user;
+      this.userTeams = new Set(teams.flat());
+      this.currentUserError = null;
+      this.renderPullRequests();
+    } catch (error) {
+      // Cancelled requests included, nothing else loads the user again
+      this.currentUserError = error.message;
+      this.renderPullRequests();
+      if (isAbortError(error)) {
+        throw error;
+      }
+      this.showError(`Failed to load the authenticated user, the review queue is unavailable: ${error.message}`, {
+        severity: ErrorSeverity.WARNING
+      });
     }
   }
 
@@ -117,6 +245,7 @@ class Dashboard extends BaseDashboard {
 
     hideRenovateBtn.addEventListener('click', () => {
       this.hideRenovate = !this.hideRenovate;
+      this.filterStore.updateFilter('hideRenovate', this.hideRenovate);
       hideRenovateBtn.textContent = this.hideRenovate ? 'Show Renovate PRs' : 'Hide Renovate PRs';
       this.updateFilterButtonClass(hideRenovateBtn, this.hideRenovate);
       this.renderPullRequests();
@@ -124,6 +253,7 @@ class Dashboard extends BaseDashboard {
 
     hideDependabotBtn.addEventListener('click', () => {
       this.hideDependabot = !this.hideDependabot;
+      this.filterStore.updateFilter('hideDependabot', this.hideDependabot);
       hideDependabotBtn.textContent = this.hideDependabot ? 'Show Dependabot PRs' : 'Hide Dependabot PRs';
       this.updateFilterButtonClass(hideDependabotBtn, this.hideDependabot);
       this.renderPullRequests();
@@ -142,6 +272,7 @@ class Dashboard extends BaseDashboard {
     const sortPRsBtn = document.getElementById('sortPRsBtn');
     sortPRsBtn.addEventListener('click', () => {
       this.sortNewest = !this.sortNewest;
+      this.filterStore.updateFilter('sortNewest', this.sortNewest);
       sortPRsBtn.textContent = this.sortNewest ? 'Sort by Oldest' : 'Sort by Newest';
       this.renderPullRequests();
     });
@@ -165,8 +296,9 @@ class Dashboard extends BaseDashboard {
       }
 
       // Save to filter store
+      const storeKeys = { reviewState: 'reviewStates', ciState: 'ciStates' };
       this.filterStore.updateFilter(
-        type === 'reviewState' ? 'reviewStates' : type,
+        storeKeys[type] || type,
         Array.from(this.activeFilters[type])
       );
 
@@ -177,13 +309,16 @@ class Dashboard extends BaseDashboard {
     const searchInput = document.getElementById('prSearch');
     searchInput.value = this.searchQuery;
     searchInput.addEventListener('input', (e) => {
+      this.updateSearchSuggestions();
       clearTimeout(this.searchTimeout);
       this.searchTimeout = setTimeout(() => {
         this.searchQuery = e.target.value;
-        this.filterStore.updateFilter('search', this.searchQuery);
+        // Typing replaces the history entry instead of adding one per keystroke
+        this.filterStore.updateFilter('search', this.searchQuery, { push: false });
         this.renderPullRequests();
       }, 300);
     });
+    this.setupSearchAutocomplete(searchInput);
 
     // Setup Clear filters button (using the base method)
     this.setupClearFiltersButton(() => {
@@ -201,30 +336,40 @@ class Dashboard extends BaseDashboard {
       this.renderPullRequests();
     });
 
-    // Add refresh button click handler
-    document.getElementById('refreshPRs').addEventListener('click', () => {
-      this.loadPullRequests(true);
+    // Switch between all PRs and the review queue
+    document.querySelectorAll('[data-pr-view]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.prView = btn.dataset.prView;
+        localStorage.setItem('gh-dashboard-pr-view', this.prView);
+        this.renderPullRequests();
+      });
     });
 
-    // Add cache duration input handler
-    document.getElementById('cacheDuration').addEventListener('change', (e) => {
-      const value = parseInt(e.target.value);
-      if (value > 0) {
-        this.cacheDuration = value;
-        localStorage.setItem('gh-dashboard-pr-cache-duration', value);
+    // Opening one of my PRs from the review queue marks its reviews as seen
+    document.getElementById('prList').addEventListener('click', (e) => {
+      if (e.target.closest('#retryCurrentUser')) {
+        this.retryCurrentUser();
+        return;
       }
-    });
 
-    // Add repos per page input handler
-    document.getElementById('reposPerPage').addEventListener('change', (e) => {
-      const value = parseInt(e.target.value);
-      if (value > 0) {
-        this.reposPerPage = value;
-        localStorage.setItem('gh-dashboard-repos-per-page', value);
-        this.github.reposPerPage = value;
-        this.loadRepositories();
+      const link = e.target.closest('[data-queue-section="newReviews"] a');
+      const row = link?.closest('[data-pr-key]');
+      const pr = row && this.pullRequests.find(p => this.getPRKey(p) === row.dataset.prKey);
+      if (pr) {
+        this.markReviewsSeen(pr);
       }
     });
+
+    // Add refresh button click handler
+    document.getElementById('refreshPRs').addEventListener('click', () => {
+      this.cancelPendingRequests('refresh');
+      this.loadPullRequests(true);
+    });
+
+    this.setupPresetPicker(this.filterStore, 'pr-dashboard');
+
+    // Reflect restored filters (button labels, sort order, search) in the UI
+    this.syncFilterControls();
   }
 
   resetFilters() {
@@ -233,10 +378,12 @@ class Dashboard extends BaseDashboard {
     this.hideDependabot = savedFilters.hideDependabot;
     this.activeFilters.labels.clear();
     this.activeFilters.reviewState.clear();
+    this.activeFilters.ciState.clear();
+    this.activeFilters.orgs.clear();
     this.searchQuery = '';
     this.labelOperator = 'OR';
     document.getElementById('labelOperatorToggle').textContent = 'OR';
-    this.filterStore.updateFilter('labelOperator', 'OR');
+    this.filterStore.updateFilter('labelOperator', 'OR', { push: false });
 
     // Reset UI states
     document.getElementById('prSearch').value = '';
@@ -256,13 +403,15 @@ class Dashboard extends BaseDashboard {
   }
 
   async loadRepositories() {
-    const repos = await super.loadRepositories();
+    const repos = (await Promise.all(this.orgNames.map(orgName => super.loadRepositories(orgName))))
+      .flat()
+      .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at));
     const reposList = document.getElementById('reposList');
 
     reposList.innerHTML = repos.map(repo => `
       <div class="border-l-4 border-blue-500 pl-4 mb-4">
         <a href="${repo.html_url}" target="_blank" class="text-lg font-medium text-blue-600 dark:text-blue-400 hover:underline">
-          ${repo.name}
+          ${this.isMultiOrg() ? repo.full_name : repo.name}
         </a>
         <div class="flex flex-wrap items-center gap-2 mt-1">
           ${repo.language ? `
@@ -320,40 +469,144 @@ class Dashboard extends BaseDashboard {
       this.showPRLoading(false);
     }
 
+    this.isLoadingPRs = true;
+    // A refresh cancels the previous load, which must not clean up after the new one
+    const loadId = this.prLoadId = (this.prLoadId || 0) + 1;
+
     try {
       // Try to use cache first (unless forcing refresh)
       if (!forceRefresh) {
-        const cacheLoaded = this.loadCachedData(this.storageKey, this.cacheDuration, (data, timestamp) => {
-          this.pullRequests = data;
-          this.lastUpdateTime = timestamp;
-          this.renderPRStats();
-          this.renderPullRequests();
-          this.updateLastFetchTime();
-        });
+        const cacheLoaded = await this.loadCachedData();
 
         if (cacheLoaded) {
           return;
         }
       }
 
-      // Fetch fresh data
-      this.pullRequests = await this.github.getOpenPullRequests(this.orgName);
-      this.saveCacheData(this.storageKey, this.pullRequests);
+      // Fetch fresh data of all organizations, rendering rows as soon as they
+      // arrive and attaching reviews and author names while they resolve
+      const loadedPRs = new Map();
+      const handlers = {
+        onPullRequests: (prs) => {
+          // Keep the previous list visible on refresh until the first rows land
+          if (!loadedPRs.size) {
+            this.removePRLoading();
+          }
+          prs.forEach(pr => loadedPRs.set(this.getPRKey(pr), pr));
+          this.pullRequests = [...loadedPRs.values()];
+          this.scheduleProgressiveRender();
+        },
+        onPullRequestUpdate: (pr) => {
+          loadedPRs.set(this.getPRKey(pr), pr);
+          this.pullRequests = [...loadedPRs.values()];
+          this.scheduleProgressiveRender();
+        }
+      };
+
+      const pullRequests = await Promise.all(
+        this.orgNames.map(orgName => this.github.getOpenPullRequests(orgName, handlers))
+      );
+
+      this.pullRequests = pullRequests.flat();
       this.renderPRStats();
       this.renderPullRequests();
       this.updateLastFetchTime();
     } catch (error) {
-      this.showError(`Failed to load pull requests: ${error.message}`);
+      if (!isAbortError(error)) {
+        this.showError(`Failed to load pull requests: ${error.message}`);
+      }
     } finally {
-      // Remove loading skeleton
-      const loadingSkeleton = document.querySelector('.loading-skeleton');
-      if (loadingSkeleton) {
-        loadingSkeleton.remove();
+      if (loadId === this.prLoadId) {
+        this.removePRLoading();
+        this.isLoadingPRs = false;
       }
-      this.isLoadingPRs = false;
     }
   }
 
+  removePRLoading() {
+    const loadingSkeleton = document.querySelector('.loading-skeleton');
+    if (loadingSkeleton) {
+      loadingSkeleton.remove();
+    }
+  }
+
+  /**
+   * Re-render stats, filters and the PR list at most once per animation frame
+   * while pull requests are streaming in
+   */
+  scheduleProgressiveRender() {
+    if (this.progressiveRenderFrame) {
+      return;
+    }
+
+    this.progressiveRenderFrame = requestAnimationFrame(() => {
+      this.progressiveRenderFrame = null;
+      this.renderPRStats();
+      this.renderPullRequests();
+    });
+  }
+
+  getPRKey(pr) {
+    return `${pr.orgName}/${pr.repoName}#${pr.number}`;
+  }
+
+  /**
+   * Replace the pull requests of one organization, keeping those of the others
+   * @param {string} orgName - Organization of the pull requests
+   * @param {Array} pullRequests - Its open pull requests
+   */
+  mergeOrgPullRequests(orgName, pullRequests) {
+    return [
+      ...this.pullRequests.filter(pr => pr.orgName !== orgName),
+      ...withOrgName(pullRequests, orgName)
+    ];
+  }
+
+  /**
+   * Scheduled refresh: fetch fresh PR lists, the cache subscriptions apply them
+   */
+  async refreshPullRequests() {
+    if (this.isLoadingPRs) {
+      return;
+    }
+    await Promise.all(this.orgNames.map(orgName => this.github.fetchOpenPullRequests(orgName)));
+  }
+
+  /**
+   * Replace the PR list with fresh data, re-rendering only the rows that changed
+   * as long as the set and order of visible rows stays the same
+   */
+  applyPullRequestUpdate(pullRequests) {
+    const previous = new Map(this.pullRequests.map(pr => [this.getPRKey(pr), JSON.stringify(pr)]));
+    const changedPRs = pullRequests.filter(pr => previous.get(this.getPRKey(pr)) !== JSON.stringify(pr));
+    const visibleBefore = this.getFilteredPullRequests().map(pr => this.getPRKey(pr)).join(',');
+
+    this.pullRequests = pullRequests;
+    this.updateReviewQueueCount();
+    this.updateLastFetchTime();
+
+    if (!changedPRs.length && previous.size === pullRequests.length) {
+      return;
+    }
+
+    this.renderPRStats();
+
+    // Rows move between review queue sections when reviews or requests change
+    const visibleAfter = this.getFilteredPullRequests().map(pr => this.getPRKey(pr)).join(',');
+    if (visibleBefore !== visibleAfter || this.prView === 'queue') {
+      this.renderPullRequests();
+      return;
+    }
+
+    const prList = document.getElementById('prList');
+    changedPRs.forEach(pr => {
+      prList.querySelectorAll(`[data-pr-key="${CSS.escape(this.getPRKey(pr))}"]`).forEach(row => {
+        row.outerHTML = this.renderPRItem(pr);
+      });
+    });
+    this.updateFilterButtons();
+  }
+
   renderPRStats() {
     const stats = new Map();
     this.pullRequests.forEach(pr => {
@@ -364,11 +617,39 @@ class Dashboard extends BaseDashboard {
     const sortedStats = [...stats.entries()]
       .sort((a, b) => b[1] - a[1]);
 
+    const timings = this.pullRequests.map(pr => ({ pr, timing: getPRTiming(pr, this.thresholds) }));
+    const medianAge = median(timings.map(({ timing }) => timing.ageMs));
+    const medianFirstReview = median(timings
+      .map(({ timing }) => timing.firstReviewMs)
+      .filter(ms => ms !== null));
+    const slaBreaches = timings
+      .filter(({ timing }) => timing.breachesSla)
+      .sort((a, b) => b.timing.waitingMs - a.timing.waitingMs);
+
     const prStats = document.getElementById('prStats');
     prStats.innerHTML = `
       <p class="text-gray-600 dark:text-gray-400 mb-2">
         Total open PRs: ${this.pullRequests.length}
       </p>
+      <div class="text-sm text-gray-600 dark:text-gray-400 mb-2">
+        <div>Median PR age: ${medianAge !== null ? formatDuration(medianAge) : '–'}</div>
+        <div>Median time to first review: ${medianFirstReview !== null ? formatDuration(medianFirstReview) : '–'}</div>
+      </div>
+      ${slaBreaches.length ? `
+        <div class="text-sm mb-2">
+          <p class="text-red-600 dark:text-red-400 font-medium">
+            ${slaBreaches.length} PR${slaBreaches.length !== 1 ? 's' : ''} waiting longer than ${this.thresholds.reviewSlaHours}h for review
+          </p>
+          ${slaBreaches.map(({ pr, timing }) => `
+            <div class="flex justify-between items-center gap-2">
+              <a href="${pr.html_url}" target="_blank" class="truncate text-blue-600 dark:text-blue-400 hover:underline">
+                ${pr.repoName}#${pr.number}
+              </a>
+              <span class="text-gray-500 dark:text-gray-400">${formatDuration(timing.waitingMs)}</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
       ${sortedStats.map(([author, count]) => `
         <div class="flex justify-between items-center text-sm">
           <span class="text-gray-700 dark:text-gray-300">${author}</span>
@@ -378,10 +659,39 @@ class Dashboard extends BaseDashboard {
     `;
   }
 
-  renderPullRequests() {
-    const prList = document.getElementById('prList');
+  /**
+   * Pick up changed cache durations, thresholds and hidden accounts from the settings modal
+   * @param {Object} settings - Saved settings
+   */
+  applySettings(settings) {
+    super.applySettings(settings);
+
+    this.cacheDuration = settings.cacheMinutes.pr;
+    this.hiddenBotAccounts = new Set(settings.hiddenBotAccounts.map(login => login.toLowerCase()));
+    this.thresholds = {
+      staleDays: settings.staleDays,
+      reviewSlaHours: settings.reviewSlaHours
+    };
+
+    if (settings.reposPerPage !== this.reposPerPage) {
+      this.reposPerPage = settings.reposPerPage;
+      this.github.reposPerPage = settings.reposPerPage;
+      this.loadRepositories();
+    }
+
+    this.renderPRStats();
+    this.renderPullRequests();
+  }
+
+  /**
+   * Apply the active filters and sort order to the loaded pull requests
+   */
+  getFilteredPullRequests() {
     let prs = [...this.pullRequests]; // Create a copy for sorting
 
+    if (this.hiddenBotAccounts.size) {
+      prs = prs.filter(pr => !this.hiddenBotAccounts.has(pr.user.login.toLowerCase()));
+    }
     if (this.hideRenovate) {
       prs = prs.filter((pr) => {
         return pr.user.login !== 'renovate[bot]';
@@ -401,13 +711,13 @@ class Dashboard extends BaseDashboard {
 
     // Apply filters
     if (this.searchQuery) {
-      const query = this.searchQuery.toLowerCase();
-      prs = prs.filter(pr =>
-        pr.title.toLowerCase().includes(query) ||
-        pr.user.login.toLowerCase().includes(query) ||
-        pr.user.name.toLowerCase().includes(query) ||
-        pr.repoName.toLowerCase().includes(query)
-      );
+      const query = this.getSearchAst();
+      const context = {
+        currentLogin: this.currentUser?.login || null,
+        isStale: pr => getPRTiming(pr, this.thresholds).isStale,
+        now: Date.now()
+      };
+      prs = prs.filter(pr => matchesSearchQuery(query, pr, context));
     }
 
     // Updated label filtering logic
@@ -428,6 +738,17 @@ class Dashboard extends BaseDashboard {
       );
     }
 
+    if (this.activeFilters.orgs.size > 0) {
+      prs = prs.filter(pr => this.activeFilters.orgs.has(pr.orgName));
+    }
+
+    // PRs without any checks match the "none" CI filter
+    if (this.activeFilters.ciState.size > 0) {
+      prs = prs.filter(pr =>
+        this.activeFilters.ciState.has(pr.checks?.state || 'none')
+      );
+    }
+
     // Sort PRs by creation date
     prs.sort((a, b) => {
       const dateA = new Date(a.created_at);
@@ -435,6 +756,254 @@ class Dashboard extends BaseDashboard {
       return this.sortNewest ? dateB - dateA : dateA - dateB;
     });
 
+    return prs;
+  }
+
+  /**
+   * Filter AST of the current search query, parsed once per query
+   */
+  getSearchAst() {
+    if (this.searchAst?.source !== this.searchQuery) {
+      this.searchAst = { source: this.searchQuery, ...parseSearchQuery(this.searchQuery) };
+
+      // Point out terms that were ignored
+      const searchInput = document.getElementById('prSearch');
+      searchInput.title = this.searchAst.errors.join('\n');
+      searchInput.classList.toggle('border-red-500', this.searchAst.errors.length > 0);
+    }
+    return this.searchAst;
+  }
+
+  /**
+   * Keyboard and mouse handling of the search suggestions
+   * @param {HTMLInputElement} searchInput - Search box
+   */
+  setupSearchAutocomplete(searchInput) {
+    const list = document.getElementById('prSearchSuggestions');
+
+    searchInput.addEventListener('keydown', (e) => {
+      const suggestions = this.searchSuggestions?.suggestions || [];
+      if (list.classList.contains('hidden') || !suggestions.length) {
+        return;
+      }
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.activeSuggestion = (this.activeSuggestion + step + suggestions.length) % suggestions.length;
+        list.innerHTML = createSearchSuggestions(suggestions, this.activeSuggestion);
+      } else if ((e.key === 'Enter' || e.key === 'Tab') && this.activeSuggestion !== -1) {
+        e.preventDefault();
+        this.applySearchSuggestion(this.activeSuggestion);
+      } else if (e.key === 'Escape') {
+        this.hideSearchSuggestions();
+      }
+    });
+
+    searchInput.addEventListener('focus', () => this.updateSearchSuggestions());
+    searchInput.addEventListener('click', () => this.updateSearchSuggestions());
+    searchInput.addEventListener('blur', () => this.hideSearchSuggestions());
+
+    // Keep the focus in the search box while picking a suggestion
+    list.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('[data-suggestion-index]');
+      if (item) {
+        e.preventDefault();
+        this.applySearchSuggestion(parseInt(item.dataset.suggestionIndex));
+      }
+    });
+  }
+
+  /**
+   * Suggest qualifiers and values of the loaded PRs for the term under the caret
+   */
+  updateSearchSuggestions() {
+    const searchInput = document.getElementById('prSearch');
+    const list = document.getElementById('prSearchSuggestions');
+
+    const values = {
+      authors: this.pullRequests.map(pr => pr.user.login),
+      orgs: this.orgNames,
+      repos: this.pullRequests.map(pr => pr.repoName),
+      labels: this.pullRequests.flatMap(pr => pr.labels.map(label => label.name))
+    };
+    this.searchSuggestions = getSearchSuggestions(searchInput.value, searchInput.selectionStart, values);
+    this.activeSuggestion = -1;
+
+    if (!this.searchSuggestions.suggestions.length) {
+      this.hideSearchSuggestions();
+      return;
+    }
+    list.innerHTML = createSearchSuggestions(this.searchSuggestions.suggestions);
+    list.classList.remove('hidden');
+  }
+
+  hideSearchSuggestions() {
+    document.getElementById('prSearchSuggestions').classList.add('hidden');
+    this.activeSuggestion = -1;
+  }
+
+  /**
+   * Replace the term under the caret with a suggestion
+   * @param {number} index - Index of the suggestion
+   */
+  applySearchSuggestion(index) {
+    const { start, end, suggestions } = this.searchSuggestions;
+    const suggestion = suggestions[index];
+    const searchInput = document.getElementById('prSearch');
+    const value = searchInput.value;
+
+    // Completed values end the term, qualifier keys wait for their value
+    const separator = suggestion.text.endsWith(':') ? '' : ' ';
+    const rest = value.slice(end);
+    const replacement = suggestion.text + (rest.startsWith(' ') ? '' : separator);
+    searchInput.value = value.slice(0, start) + replacement + rest;
+
+    const caret = start + replacement.length;
+    searchInput.setSelectionRange(caret, caret);
+    searchInput.dispatchEvent(new Event('input'));
+  }
+
+  /**
+   * Split pull requests into the sections of the review queue
+   * @param {Array} prs - Pull requests to sort into the queue
+   * @returns {{awaitingReview: Array, newReviews: Array, assigned: Array}}
+   */
+  getReviewQueue(prs) {
+    const queue = { awaitingReview: [], newReviews: [], assigned: [] };
+    if (!this.currentUser) {
+      return queue;
+    }
+
+    const me = this.currentUser.login;
+    prs.forEach(pr => {
+      const isAuthor = pr.user.login === me;
+
+      if (!isAuthor && (
+        (pr.requestedReviewers || []).includes(me) ||
+        (pr.requestedTeams || []).some(team => this.userTeams.has(team))
+      )) {
+        queue.awaitingReview.push(pr);
+      }
+
+      if (isAuthor && this.getUnseenReviews(pr).length > 0) {
+        queue.newReviews.push(pr);
+      }
+
+      if ((pr.assignees || []).includes(me)) {
+        queue.assigned.push(pr);
+      }
+    });
+
+    return queue;
+  }
+
+  /**
+   * Reviews by others submitted after the author last opened the PR from the review queue
+   */
+  getUnseenReviews(pr) {
+    const seenAt = this.seenReviews[this.getPRKey(pr)] || '';
+    return pr.reviews.filter(review =>
+      review.user.login !== this.currentUser.login && review.submitted_at > seenAt
+    );
+  }
+
+  markReviewsSeen(pr) {
+    const latest = pr.reviews.reduce((max, review) => review.submitted_at > max ? review.submitted_at : max, '');
+    this.seenReviews[this.getPRKey(pr)] = latest;
+
+    // Forget PRs that are no longer open
+    const openKeys = new Set(this.pullRequests.map(p => this.getPRKey(p)));
+    Object.keys(this.seenReviews).forEach(key => {
+      if (!openKeys.has(key)) {
+        delete this.seenReviews[key];
+      }
+    });
+
+    localStorage.setItem('gh-dashboard-seen-reviews', JSON.stringify(this.seenReviews));
+    this.renderPullRequests();
+  }
+
+  /**
+   * Update the view toggle buttons and the number of PRs waiting on the current user
+   */
+  updateReviewQueueCount() {
+    document.querySelectorAll('[data-pr-view]').forEach(btn => {
+      this.updateFilterButtonClass(btn, btn.dataset.prView === this.prView);
+    });
+
+    const countElement = document.getElementById('reviewQueueCount');
+    if (!countElement) {
+      return;
+    }
+
+    const queue = this.getReviewQueue(this.getFilteredPullRequests());
+    const count = new Set(
+      [...queue.awaitingReview, ...queue.newReviews, ...queue.assigned].map(pr => this.getPRKey(pr))
+    ).size;
+    countElement.textContent = this.currentUser ? `(${count})` : '';
+  }
+
+  /**
+   * Load the user of the token again after a failure, the review queue shows loading meanwhile
+   */
+  async retryCurrentUser() {
+    this.currentUserError = null;
+    this.renderPullRequests();
+    // Rejects only when cancelled, the review queue then offers the retry again
+    await this.loadCurrentUser().catch(() => {});
+  }
+
+  renderReviewQueue(prs) {
+    const prList = document.getElementById('prList');
+
+    if (!this.currentUser && this.currentUserError) {
+      prList.innerHTML = createReviewQueueError(this.currentUserError);
+      return;
+    }
+
+    if (!this.currentUser) {
+      prList.innerHTML = `
+        <div class="text-gray-500 dark:text-gray-400 italic">
+          Loading the user of the token...
+        </div>`;
+      return;
+    }
+
+    const queue = this.getReviewQueue(prs);
+    const sections = [
+      { key: 'awaitingReview', title: 'Awaiting my review', empty: 'No pull requests are waiting for your review.' },
+      { key: 'newReviews', title: 'My PRs with new reviews', empty: 'No new reviews on your pull requests.' },
+      { key: 'assigned', title: 'Assigned to me', empty: 'No pull requests are assigned to you.' }
+    ];
+
+    prList.innerHTML = sections.map(({ key, title, empty }) => `
+      <div class="mb-6" data-queue-section="${key}">
+        <h3 class="text-lg font-medium text-gray-900 dark:text-white mb-3">
+          ${title} <span class="text-sm font-normal text-gray-500 dark:text-gray-400">(${queue[key].length})</span>
+        </h3>
+        <div class="space-y-4">
+          ${queue[key].length ?
+        queue[key].map(pr => this.renderPRItem(pr)).join('') :
+        `<p class="text-sm text-gray-500 dark:text-gray-400 italic">${empty}</p>`}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  renderPullRequests() {
+    const prList = document.getElementById('prList');
+    const prs = this.getFilteredPullRequests();
+
+    this.updateReviewQueueCount();
+
+    if (this.prView === 'queue') {
+      this.renderReviewQueue(prs);
+      this.updateFilterCounts();
+      this.updateFilterButtons();
+      return;
+    }
+
     if (prs.length === 0) {
       prList.innerHTML = `
         <div class="text-gray-500 dark:text-gray-400 italic">
@@ -443,23 +1012,35 @@ class Dashboard extends BaseDashboard {
       return;
     }
 
-    // Group by repository
-    const groupedPrs = prs.reduce((acc, pr) => {
-      if (!acc[pr.repoName]) acc[pr.repoName] = [];
-      acc[pr.repoName].push(pr);
+    // Group by repository, and by organization first when showing several
+    const groupBy = (items, getKey) => items.reduce((acc, item) => {
+      const key = getKey(item);
+      if (!acc[key]) acc[key] = [];
+      acc[key].push(item);
       return acc;
     }, {});
 
-    // Render grouped PRs
-    prList.innerHTML = Object.entries(groupedPrs).map(([repoName, repoPrs]) => `
+    const renderRepoGroups = (repoPrs) => Object.entries(groupBy(repoPrs, pr => pr.repoName)).map(([repoName, prsOfRepo]) => `
       <div class="mb-6">
         <h3 class="text-lg font-medium text-gray-900 dark:text-white mb-3">${repoName}</h3>
         <div class="space-y-4">
-          ${repoPrs.map(pr => this.renderPRItem(pr)).join('')}
+          ${prsOfRepo.map(pr => this.renderPRItem(pr)).join('')}
         </div>
       </div>
     `).join('');
 
+    // Render grouped PRs
+    if (this.isMultiOrg()) {
+      prList.innerHTML = Object.entries(groupBy(prs, pr => pr.orgName)).map(([orgName, orgPrs]) => `
+        <section data-org="${orgName}" class="mb-8">
+          <h2 class="text-xl font-semibold text-gray-900 dark:text-white mb-4 pb-1 border-b border-gray-200 dark:border-gray-700">${orgName}</h2>
+          ${renderRepoGroups(orgPrs)}
+        </section>
+      `).join('');
+    } else {
+      prList.innerHTML = renderRepoGroups(prs);
+    }
+
     this.updateFilterCounts();
     this.updateFilterButtons();
   }
@@ -467,7 +1048,9 @@ class Dashboard extends BaseDashboard {
   renderPRItem(pr) {
     return createPullRequestItem(pr, {
       renderLabel: this.renderLabel.bind(this),
-      renderReviewState: this.renderReviewState.bind(this)
+      renderReviewState: this.renderReviewState.bind(this),
+      renderCheckStatus: this.renderCheckStatus.bind(this),
+      timing: getPRTiming(pr, this.thresholds)
     });
   }
 
@@ -492,6 +1075,25 @@ class Dashboard extends BaseDashboard {
     return `<span class="review-state ${className}">${icon} ${state.replace('_', ' ')}</span>`;
   }
 
+  renderCheckStatus(checks) {
+    const states = {
+      'success': { icon: '✓', class: 'ci-success', label: 'CI passing' },
+      'failure': { icon: '×', class: 'ci-failure', label: 'CI failing' },
+      'pending': { icon: '⊙', class: 'ci-pending', label: 'CI running' }
+    };
+
+    if (!checks.state) {
+      return '';
+    }
+
+    const { icon, class: className, label } = states[checks.state];
+    const title = checks.failing.length ?
+      `Failing: ${checks.failing.join(', ')}` :
+      checks.pending.length ? `Pending: ${checks.pending.join(', ')}` : `${checks.total} checks passed`;
+
+    return `<span class="ci-status ${className}" title="${title.replace(/"/g, '&quot;')}">${icon} ${label}</span>`;
+  }
+
   hexToRgb(hex) {
     const result = /^([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
     if (!result) {
@@ -531,10 +1133,14 @@ class Dashboard extends BaseDashboard {
       </button>`
     ).join('');
 
-    // Update review state filter buttons to show active state
-    document.querySelectorAll('[data-filter-type="reviewState"]').forEach(btn => {
+    // Organization filters only make sense with several organizations
+    document.getElementById('orgFilters').innerHTML = this.isMultiOrg() ?
+      createOrgFilters(this.orgNames, this.activeFilters.orgs) : '';
+
+    // Update review state and CI filter buttons to show active state
+    document.querySelectorAll('[data-filter-type="reviewState"], [data-filter-type="ciState"]').forEach(btn => {
       const value = btn.dataset.filterValue;
-      if (this.activeFilters.reviewState.has(value)) {
+      if (this.activeFilters[btn.dataset.filterType].has(value)) {
         btn.classList.add('filter-active');
       } else {
         btn.classList.remove('filter-active');
@@ -547,30 +1153,54 @@ class Dashboard extends BaseDashboard {
       total: this.pullRequests.length,
       filtered: document.querySelectorAll('#prList .border-l-4').length,
       labels: this.activeFilters.labels.size,
-      reviewStates: this.activeFilters.reviewState.size
+      reviewStates: this.activeFilters.reviewState.size,
+      ciStates: this.activeFilters.ciState.size,
+      orgs: this.activeFilters.orgs.size
     };
+    const activeCount = counts.labels + counts.reviewStates + counts.ciStates + counts.orgs;
 
     document.getElementById('filterCounts').innerHTML = `
       <span class="text-sm text-gray-500 dark:text-gray-400">
         Showing ${counts.filtered} of ${counts.total} PRs
-        ${counts.labels + counts.reviewStates > 0 ? `(${counts.labels + counts.reviewStates} filters active)` : ''}
+        ${activeCount > 0 ? `(${activeCount} filters active)` : ''}
       </span>
     `;
   }
 
-  loadCachedData() {
-    return super.loadCachedData(this.storageKey, this.cacheDuration, (data, timestamp) => {
-      this.pullRequests = data;
-      this.lastUpdateTime = timestamp;
-      this.renderPRStats();
-      this.renderPullRequests();
-      this.updateLastFetchTime();
-    });
+  /**
+   * Show the cached PR lists, the `open-prs-<org>` entries GitHubAPI stores with every fetch
+   * @returns {Promise<boolean>} Whether every organization had cached data
+   */
+  async loadCachedData() {
+    const loaded = await Promise.all(this.orgNames.map(orgName =>
+      super.loadCachedData(`open-prs-${orgName}`, this.cacheDuration, (data, timestamp, isStale) => {
+        this.pullRequests = this.mergeOrgPullRequests(orgName, data);
+        this.lastUpdateTime = timestamp;
+        this.renderPRStats();
+        this.renderPullRequests();
+        this.updateLastFetchTime();
+
+        // Show stale data immediately and refresh it in the background
+        if (isStale && this.github) {
+          this.github.revalidateOpenPullRequests(orgName);
+        }
+      }, cacheService.staleWindows.pr)
+    ));
+
+    return loaded.every(Boolean);
   }
 
-  savePRCache() {
-    return this.saveCacheData(this.storageKey, this.pullRequests);
+  /**
+   * Drop the copies of the PR lists older versions stored next to the `open-prs-<org>` entries
+   */
+  async removeLegacyPRSnapshots() {
+    await cacheService.ready;
+    this.orgNames.forEach(orgName => {
+      cacheService.remove('PR', this.getOrgStorageKey(orgName));
+      localStorage.removeItem(this.getOrgStorageKey(orgName));
+    });
   }
 }
 
-new Dashboard();
+// Ask for the token passphrase before anything is loaded
+unlockSession().then(() => new Dashboard());
@@ -10,22 +10,43 @@
  * - Common filter functionality
  */
 
-import { getConfig, saveDashboardConfig } from './config.js';
+import {
+  getConfig,
+  getDashboardConfig,
+  parseOrgList,
+  saveDashboardConfig,
+  saveOrgNames
+} from './config.js';
 import GitHubAPI from './githubApi.js';
-import { createConfigStatusIndicator, createLastUpdatedText, updateButtonState } from './components.js';
+import {
+  createConfigStatusIndicator,
+  createLastUpdatedText,
+  createPresetPicker,
+  createSettingsModal,
+  updateButtonState
+} from './components.js';
 import errorService, { ErrorCategory, ErrorSeverity } from './ErrorService.js';
+import cacheService from './CacheService.js';
+import tabSync from './tabSync.js';
+import { RefreshScheduler } from './refreshScheduler.js';
+import { CACHE_TYPES, loadSettings, saveSettings, validateSettings } from './settings.js';
+import requestScheduler, { isAbortError } from './requestScheduler.js';
+import { lockSession, startIdleLock } from './sessionLock.js';
+import { encryptToken, getSessionToken, startSession, validatePassphrase } from './tokenVault.js';
 
 export class BaseDashboard {
   constructor(options = {}) {
-    const { storageKeyPrefix = 'gh-dashboard' } = options;
+    const { storageKeyPrefix = 'gh-dashboard', cacheType = 'PR' } = options;
 
     // Get configuration
-    const { token, orgName } = getConfig();
+    const { token, orgName, orgNames } = getConfig();
     this.token = token;
+    // `orgName` is the primary organization, `orgNames` all shown organizations
     this.orgName = orgName;
+    this.orgNames = orgNames;
 
     // Save the config to localStorage for persistence
-    saveDashboardConfig({ token, orgName });
+    saveDashboardConfig({ ...getDashboardConfig(), token, orgName, orgNames });
 
     // Common properties
     this.lastUpdateTime = null;
@@ -33,21 +54,27 @@ export class BaseDashboard {
     this.searchQuery = '';
     this.searchTimeout = null;
 
-    // Generate storage keys based on organization
+    // Generate storage keys based on organization, see getOrgStorageKey for per-organization data
     this.storageKeyPrefix = storageKeyPrefix;
-    this.storageKey = `${this.storageKeyPrefix}-${orgName}`;
+    this.storageKey = `${this.storageKeyPrefix}-${orgNames.join('+')}`;
+    this.cacheType = cacheType;
 
     // Setup error handling
     this.setupErrorHandling();
 
     // Setup common features
     this.setupDarkMode();
-    this.updateConfigStatus(orgName, !!token);
+    this.setupRefreshIndicator();
+    this.setupRequestCancellation();
+    this.updateConfigStatus(orgNames.join(', '), !!token);
+    this.setupOrgEditor();
+    this.setupSettingsModal();
+    this.stopIdleLock = startIdleLock(loadSettings().idleLockMinutes);
 
     // Handle missing token
     if (!this.token) {
       this.showError(
-        'GitHub token is required. Either set GITHUB_TOKEN environment variable or add it as a URL parameter: ?token=your-token\n' +
+        'GitHub token is required. Either set GITHUB_TOKEN environment variable, enter it in the settings (gear icon) or add it as a URL parameter: ?token=your-token\n' +
         'Use the token from 1password: `GITHUB_ORG_DASHBOARD_PAT dev@lx ORG`.\n\n' +
         'Required token scopes:\n' +
         '• repo (read-only access to repositories)\n' +
@@ -59,7 +86,7 @@ export class BaseDashboard {
 
     // Setup rate limit warning handler
     if (this.github) {
-      this.github.onRateLimitWarning = this.handleRateLimitWarning.bind(this);
+      this.github.client.onRateLimitWarning(this.handleRateLimitWarning.bind(this));
     }
 
     return true;
@@ -131,6 +158,226 @@ export class BaseDashboard {
     }
   }
 
+  /**
+   * Show the refreshing indicator while cached data is revalidated in the background
+   */
+  setupRefreshIndicator() {
+    cacheService.onRevalidationChange(pending => this.setRefreshing(pending > 0));
+  }
+
+  /**
+   * Toggle the subtle "refreshing" indicator next to the last update time
+   */
+  setRefreshing(isRefreshing) {
+    const indicator = document.getElementById('refreshIndicator');
+    if (indicator) {
+      indicator.classList.toggle('hidden', !isRefreshing);
+    }
+  }
+
+  /**
+   * Cancel queued and running API requests when the user leaves the page
+   */
+  setupRequestCancellation() {
+    window.addEventListener('pagehide', () => requestScheduler.cancelAll('navigation'));
+  }
+
+  /**
+   * Cancel queued and running API requests, e.g. before a manual refresh reloads everything
+   * @param {string} reason - Why the requests were cancelled
+   */
+  cancelPendingRequests(reason = 'refresh') {
+    requestScheduler.cancelAll(reason);
+  }
+
+  /**
+   * Start refreshing in the background on the configured interval
+   * @param {Function} refresh - Async function refreshing the dashboard data
+   * @param {Function} getRateLimit - Returns the last seen rate limit of the API used for refreshing
+   */
+  setupAutoRefresh(refresh, getRateLimit = () => this.github?.rateLimit) {
+    const intervalMinutes = loadSettings().refreshMinutes;
+    const statusElement = document.getElementById('autoRefreshStatus');
+
+    tabSync.joinElection(`${this.storageKeyPrefix}-${this.orgNames.join('+')}`);
+
+    this.refreshScheduler = new RefreshScheduler({
+      refresh,
+      getRateLimit,
+      intervalMinutes,
+      onStatusChange: (status) => {
+        if (statusElement) {
+          statusElement.textContent = status;
+        }
+      }
+    });
+    this.refreshScheduler.start();
+  }
+
+  /**
+   * Storage key of data that belongs to a single organization, keeping caches of organizations apart
+   * @param {string} orgName - Organization login
+   */
+  getOrgStorageKey(orgName) {
+    return `${this.storageKeyPrefix}-${orgName}`;
+  }
+
+  /**
+   * Whether the dashboard shows more than one organization
+   */
+  isMultiOrg() {
+    return this.orgNames.length > 1;
+  }
+
+  /**
+   * Edit the list of organizations by clicking the organization status
+   * Storage keys derive from the list, so the page reloads with the new one
+   */
+  setupOrgEditor() {
+    const orgValue = document.getElementById('orgStatusValue');
+    if (!orgValue) {
+      return;
+    }
+
+    orgValue.title = 'Click to edit the organizations';
+    orgValue.classList.add('cursor-pointer', 'hover:underline');
+    orgValue.addEventListener('click', () => {
+      const input = prompt('Organizations (comma-separated, the first one is the primary organization)', this.orgNames.join(', '));
+      if (input === null) {
+        return;
+      }
+
+      const orgNames = parseOrgList(input);
+      if (!orgNames.length || orgNames.join(',') === this.orgNames.join(',')) {
+        return;
+      }
+
+      saveOrgNames(orgNames);
+      // The URL parameter would take precedence over the saved list
+      const url = new URL(window.location.href);
+      url.searchParams.delete('org');
+      window.location.assign(url.toString());
+    });
+  }
+
+  /**
+   * Open the settings modal from #openSettings and save it
+   * Changing the token or organizations reloads the page, other settings apply right away
+   */
+  setupSettingsModal() {
+    const openButton = document.getElementById('openSettings');
+    const container = document.getElementById('settingsModal');
+    if (!openButton || !container) {
+      return;
+    }
+
+    const render = (settings, errors = {}) => {
+      container.innerHTML = createSettingsModal(settings, errors, CACHE_TYPES);
+      container.classList.remove('hidden');
+      (container.querySelector('input.border-red-500') || container.querySelector('input'))?.focus();
+    };
+    const close = () => {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+    };
+
+    openButton.addEventListener('click', () => render(loadSettings()));
+
+    container.addEventListener('click', (e) => {
+      if (e.target.matches('[data-settings-overlay]') || e.target.closest('[data-settings-cancel]')) {
+        close();
+      } else if (e.target.closest('[data-settings-lock]')) {
+        lockSession();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !container.classList.contains('hidden')) {
+        close();
+      }
+    });
+
+    container.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      // Settings other tabs saved since the modal opened are kept where the form does not change them
+      const previous = loadSettings();
+      const settings = this.readSettingsForm(e.target, previous);
+      const data = new FormData(e.target);
+      const newToken = String(data.get('newToken')).trim();
+      const passphrase = String(data.get('passphrase'));
+
+      const errors = validateSettings(settings);
+      if (/\s/.test(newToken) || (!newToken && !getSessionToken())) {
+        errors.newToken = 'Enter a GitHub token without spaces';
+      }
+      const passphraseError = newToken && validatePassphrase(passphrase, String(data.get('confirmation')));
+      if (passphraseError) {
+        errors.passphrase = passphraseError;
+      }
+      if (Object.keys(errors).length) {
+        render(settings, errors);
+        return;
+      }
+
+      if (newToken) {
+        settings.encryptedToken = await encryptToken(newToken, passphrase);
+        startSession(newToken);
+      }
+      saveSettings(settings);
+      close();
+
+      if (newToken || settings.orgNames.join(',') !== previous.orgNames.join(',')) {
+        // URL parameters would take precedence over the saved token and organizations
+        const url = new URL(window.location.href);
+        url.searchParams.delete('token');
+        url.searchParams.delete('org');
+        window.location.assign(url.toString());
+        return;
+      }
+
+      this.applySettings(settings);
+    });
+  }
+
+  /**
+   * Settings entered in the settings form
+   * @param {HTMLFormElement} form - The form rendered by createSettingsModal
+   * @param {Object} current - Current settings, keeps values the form does not show
+   * @returns {Object} Settings, not validated yet; a new token is handled separately
+   */
+  readSettingsForm(form, current) {
+    const data = new FormData(form);
+    // Empty inputs become NaN so validation reports them
+    const number = name => (data.get(name) === '' ? NaN : Number(data.get(name)));
+
+    return {
+      ...current,
+      idleLockMinutes: number('idleLockMinutes'),
+      orgNames: parseOrgList(data.get('orgNames')),
+      cacheMinutes: Object.fromEntries(
+        Object.keys(CACHE_TYPES).map(type => [type, number(`cacheMinutes.${type}`)])
+      ),
+      refreshMinutes: number('refreshMinutes'),
+      reposPerPage: number('reposPerPage'),
+      runHistoryLength: number('runHistoryLength'),
+      hiddenBotAccounts: parseOrgList(data.get('hiddenBotAccounts')),
+      staleDays: number('staleDays'),
+      reviewSlaHours: number('reviewSlaHours')
+    };
+  }
+
+  /**
+   * Apply saved settings without reloading, dashboards extend this for their own settings
+   * @param {Object} settings - Saved settings
+   */
+  applySettings(settings) {
+    this.github?.setupCacheConfig();
+    this.github?.actions.setupCacheConfig();
+    this.refreshScheduler?.setInterval(settings.refreshMinutes);
+    this.stopIdleLock();
+    this.stopIdleLock = startIdleLock(settings.idleLockMinutes);
+  }
+
   /**
    * Update configuration status indicators in the UI
    */
@@ -215,11 +462,18 @@ export class BaseDashboard {
 
   /**
    * Common method to load organization details
+   * @returns {Promise<Object|null>} `name` and `description` to show, the combined names when
+   *   several organizations are shown, and the details of every organization in `organizations`
    */
   async loadOrganization() {
     try {
-      const org = await this.github.getOrganization(this.orgName);
-      const orgName = org.name || this.orgName;
+      const organizations = await Promise.all(this.orgNames.map(orgName => this.github.getOrganization(orgName)));
+      const orgName = organizations.map((org, index) => org.name || this.orgNames[index]).join(', ');
+      const org = {
+        name: orgName,
+        description: this.isMultiOrg() ? '' : organizations[0].description,
+        organizations
+      };
 
       // Update page title
       document.title = `${orgName} - GitHub Dashboard`;
@@ -237,6 +491,9 @@ export class BaseDashboard {
 
       return org;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       this.showError(`Failed to load organization details: ${error.message}`);
       return null;
     }
@@ -244,11 +501,15 @@ export class BaseDashboard {
 
   /**
    * Base implementation for loading repositories
+   * @param {string} orgName - Organization to load, defaults to the primary organization
    */
-  async loadRepositories() {
+  async loadRepositories(orgName = this.orgName) {
     try {
-      return await this.github.getActiveRepositories(this.orgName);
+      return await this.github.getActiveRepositories(orgName);
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       this.showError(`Failed to load repositories: ${error.message}`);
       return [];
     }
@@ -269,22 +530,126 @@ export class BaseDashboard {
   }
 
   /**
-   * Basic implementation for loading cached data
+   * Render the filter preset picker into #presetPicker and handle its actions
+   * @param {FilterStore} filterStore - Store holding the filters and presets of this dashboard
+   * @param {string} exportName - File name prefix of exported presets
    */
-  loadCachedData(key, maxAgeMinutes, handler) {
+  setupPresetPicker(filterStore, exportName) {
+    const container = document.getElementById('presetPicker');
+    if (!container) {
+      return;
+    }
+
+    const render = () => {
+      container.innerHTML = createPresetPicker(filterStore.getPresetNames(), {
+        active: filterStore.getActivePreset(),
+        defaultPreset: filterStore.getDefaultPreset()
+      });
+    };
+    render();
+    filterStore.onChange(render);
+    filterStore.onPresetsChange(render);
+
+    container.addEventListener('change', async (e) => {
+      if (e.target.id === 'presetSelect') {
+        if (e.target.value) {
+          filterStore.applyPreset(e.target.value);
+        }
+        return;
+      }
+
+      if (e.target.matches('[data-preset-import]')) {
+        const file = e.target.files[0];
+        if (!file) {
+          return;
+        }
+        try {
+          const count = filterStore.importPresets(await file.text());
+          this.showError(`Imported ${count} preset${count !== 1 ? 's' : ''}`, {
+            severity: ErrorSeverity.INFO,
+            autoHide: true
+          });
+        } catch (error) {
+          this.showError(error.message, { severity: ErrorSeverity.WARNING });
+        }
+        e.target.value = '';
+      }
+    });
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-preset-action]');
+      if (!button) {
+        return;
+      }
+
+      const active = filterStore.getActivePreset();
+      switch (button.dataset.presetAction) {
+        case 'save': {
+          const name = prompt('Preset name', active || '')?.trim();
+          const exists = name && filterStore.getPresetNames().includes(name);
+          if (name && (!exists || name === active || confirm(`Replace the preset "${name}"?`))) {
+            filterStore.savePreset(name);
+          }
+          break;
+        }
+        case 'rename': {
+          const name = prompt('New preset name', active)?.trim();
+          if (name) {
+            try {
+              filterStore.renamePreset(active, name);
+            } catch (error) {
+              this.showError(error.message, { severity: ErrorSeverity.WARNING });
+            }
+          }
+          break;
+        }
+        case 'delete':
+          if (confirm(`Delete the preset "${active}"?`)) {
+            filterStore.deletePreset(active);
+          }
+          break;
+        case 'default':
+          filterStore.setDefaultPreset(active === filterStore.getDefaultPreset() ? null : active);
+          break;
+        case 'export': {
+          const url = URL.createObjectURL(new Blob([filterStore.exportPresets()], { type: 'application/json' }));
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = `${exportName}-presets.json`;
+          link.click();
+          URL.revokeObjectURL(url);
+          break;
+        }
+        case 'import':
+          container.querySelector('[data-preset-import]').click();
+          break;
+      }
+    });
+  }
+
+  /**
+   * Basic implementation for loading cached data from the persistent CacheService
+   * Data older than `maxAgeMinutes` but within `staleMinutes` on top of it is
+   * still handed to the handler, with `isStale` set so it can be refreshed in the background.
+   * @returns {Promise<boolean>} Whether cached data was handed to the handler
+   */
+  async loadCachedData(key, maxAgeMinutes, handler, staleMinutes = 0) {
     try {
-      const cached = localStorage.getItem(key);
+      await cacheService.ready;
+
+      const cached = cacheService.peek(this.cacheType, key);
       if (!cached) {
         return false;
       }
 
-      const { data, timestamp } = JSON.parse(cached);
+      const { data, createdAt: timestamp } = cached;
       const age = Date.now() - timestamp;
       const maxAge = maxAgeMinutes * 60 * 1000;
+      const staleAge = maxAge + staleMinutes * 60 * 1000;
 
-      if (age < maxAge) {
+      if (age < staleAge) {
         if (typeof handler === 'function') {
-          handler(data, new Date(timestamp));
+          handler(data, new Date(timestamp), age >= maxAge);
         }
         return true;
       }
@@ -301,16 +666,17 @@ export class BaseDashboard {
   }
 
   /**
-   * Basic implementation for saving data to cache
+   * Basic implementation for saving data to the persistent CacheService
+   * @param {string} key Cache key
+   * @param {any} data Data to cache
+   * @param {number} [durationMinutes] How long the data counts as fresh
    */
-  saveCacheData(key, data) {
+  saveCacheData(key, data, durationMinutes) {
     try {
-      const cache = {
-        data,
-        timestamp: Date.now()
-      };
+      cacheService.set(this.cacheType, key, data, durationMinutes);
 
-      localStorage.setItem(key, JSON.stringify(cache));
+      // Drop the snapshot older versions kept in localStorage
+      localStorage.removeItem(key);
       return true;
     } catch (error) {
       errorService.logError(`Failed to save data to cache '${key}'`, {
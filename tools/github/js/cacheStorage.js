@@ -0,0 +1,209 @@
+/**
+ * Persistence backends for the CacheService
+ *
+ * Every backend stores a snapshot of the cache per type as an array of
+ * [key, entry] pairs, entries keep their expiry metadata:
+ * - IndexedDBStorage: persists every cache type, no practical size limit
+ * - LocalStorageStorage: fallback when IndexedDB is unavailable, drops the
+ *   large types when the quota is exceeded
+ * - MemoryStorage: last resort, nothing survives a reload
+ *
+ * All backends implement the same async interface:
+ * - load(): Promise<Object> snapshot keyed by cache type
+ * - save(snapshot): Promise<void>
+ * - clear(): Promise<void>
+ */
+
+const DB_NAME = 'gh-dashboard-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'cacheTypes';
+const LOCAL_STORAGE_KEY = 'gh-dashboard-cache';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class IndexedDBStorage {
+  constructor(dbName = DB_NAME) {
+    this.name = 'indexeddb';
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check whether IndexedDB exists in this browser (it is missing in some private modes)
+   */
+  static isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Open (and create on first use) the cache database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'type' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async load() {
+    const db = await this.open();
+    const records = await promisifyRequest(
+      db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll()
+    );
+
+    return records.reduce((snapshot, record) => {
+      snapshot[record.type] = record.entries;
+      return snapshot;
+    }, {});
+  }
+
+  async save(snapshot) {
+    const db = await this.open();
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+
+      Object.entries(snapshot).forEach(([type, entries]) => {
+        store.put({ type, entries, savedAt: Date.now() });
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async clear() {
+    const db = await this.open();
+    await promisifyRequest(
+      db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear()
+    );
+  }
+}
+
+export class LocalStorageStorage {
+  constructor(storageKey = LOCAL_STORAGE_KEY) {
+    this.name = 'localstorage';
+    this.storageKey = storageKey;
+
+    // Types that are small enough to keep when the quota is exceeded
+    this.quotaFallbackTypes = ['USER', 'ORG'];
+  }
+
+  static isAvailable() {
+    try {
+      const testKey = '__gh-dashboard-storage-test__';
+      localStorage.setItem(testKey, '1');
+      localStorage.removeItem(testKey);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async load() {
+    const saved = localStorage.getItem(this.storageKey);
+    return saved ? JSON.parse(saved) : {};
+  }
+
+  async save(snapshot) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+    } catch (e) {
+      if (e.name !== 'QuotaExceededError') {
+        throw e;
+      }
+
+      // Keep at least the small, long-lived types
+      const reduced = {};
+      this.quotaFallbackTypes.forEach(type => {
+        if (snapshot[type]) {
+          reduced[type] = snapshot[type];
+        }
+      });
+      localStorage.setItem(this.storageKey, JSON.stringify(reduced));
+    }
+  }
+
+  async clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+export class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.snapshot = {};
+  }
+
+  static isAvailable() {
+    return true;
+  }
+
+  async load() {
+    return this.snapshot;
+  }
+
+  async save(snapshot) {
+    this.snapshot = snapshot;
+  }
+
+  async clear() {
+    this.snapshot = {};
+  }
+}
+
+/**
+ * Pick the best available backend: IndexedDB, then localStorage, then memory
+ * @returns {Promise<IndexedDBStorage|LocalStorageStorage|MemoryStorage>}
+ */
+export async function createCacheStorage() {
+  if (IndexedDBStorage.isAvailable()) {
+    const storage = new IndexedDBStorage();
+    try {
+      await storage.open();
+
+      // Migrate whatever the localStorage backend persisted before
+      if (LocalStorageStorage.isAvailable() && localStorage.getItem(LOCAL_STORAGE_KEY)) {
+        const legacy = new LocalStorageStorage();
+        await storage.save(await legacy.load());
+        await legacy.clear();
+      }
+
+      return storage;
+    } catch (e) {
+      console.warn('IndexedDB unavailable, falling back to localStorage', e);
+    }
+  }
+
+  if (LocalStorageStorage.isAvailable()) {
+    return new LocalStorageStorage();
+  }
+
+  return new MemoryStorage();
+}
@@ -6,6 +6,10 @@
  * and reduce code duplication.
  */
 
+import { formatDuration } from './prMetrics.js';
+import { getWorkflowTrend } from './workflowHistory.js';
+import { formatRunDuration, getWorkflowTimings } from './workflowTimings.js';
+
 /**
  * Generate status indicator HTML
  * @param {string} status - Status name (success, failure, pending, etc.)
@@ -164,6 +168,18 @@ export function createErrorMessage(message) {
   `;
 }
 
+/**
+ * Create the failed state of the review queue, the user of the token could not be loaded
+ * @param {string} message - Error message of the failed request
+ * @returns {string} HTML for the error with a button to load the user again
+ */
+export function createReviewQueueError(message) {
+  return `
+    ${createErrorMessage(`Could not load the user of the token, the review queue is unavailable: ${escapeHtml(message)}`)}
+    ${createButton('Retry', { id: 'retryCurrentUser', extraClasses: 'mt-3' })}
+  `;
+}
+
 /**
  * Create an input field
  * @param {Object} options - Input options
@@ -211,15 +227,53 @@ export function createFilterCount(filteredCount, totalCount, activeFilterCount =
   `;
 }
 
+/**
+ * Pass/fail sparkline of a workflow's recent runs, oldest on the left
+ * @param {Array<Object>} history - Runs, newest first
+ * @param {Function} getStatusColor - Function to determine status color
+ * @returns {string} HTML for the sparkline
+ */
+export function createRunSparkline(history, getStatusColor) {
+  if (!history.length) {
+    return '';
+  }
+
+  return `
+    <span class="inline-flex items-end gap-px h-4" aria-label="Last ${history.length} runs">
+      ${[...history].reverse().map(run => {
+        const color = getStatusColor ? getStatusColor(run.status, run.conclusion) : 'gray';
+        const outcome = run.status === 'completed' ? run.conclusion : run.status;
+        const date = new Date(run.created_at).toLocaleString(navigator.language, { dateStyle: 'medium', timeStyle: 'short' });
+        return `
+          <a href="${run.html_url}" target="_blank" title="#${run.run_number} ${outcome} · ${date}"
+             class="block w-1.5 ${run.status === 'completed' ? 'h-4' : 'h-2'} rounded-sm bg-${color}-500 hover:opacity-70"></a>
+        `;
+      }).join('')}
+    </span>
+  `;
+}
+
 /**
  * Creates a workflow item for GitHub Actions
  * @param {Object} workflow - Workflow data
+ * @param {string} key - Stable key of the item, used to patch single items on refresh
  * @param {Function} getStatusColor - Function to determine status color
  * @param {Function} getFailureReason - Function to get failure reason
+ * @param {number} now - Reference time in ms for the failing streak
+ * @param {boolean} logsExpanded - Render the job log panel of a failed run open, its excerpts load after rendering
+ * @param {boolean} timingsExpanded - Render the slowest jobs panel open
  * @returns {string} HTML for workflow item
  */
 export function createWorkflowItem(workflow, options = {}) {
-  const { getStatusColor, getFailureReason, renderAnnotations } = options;
+  const {
+    key = '',
+    getStatusColor,
+    getFailureReason,
+    renderAnnotations,
+    now = Date.now(),
+    logsExpanded = false,
+    timingsExpanded = false
+  } = options;
 
   const status = workflow.lastRun.status;
   const conclusion = workflow.lastRun.conclusion;
@@ -229,6 +283,10 @@ export function createWorkflowItem(workflow, options = {}) {
   const hasAnnotations = Array.isArray(workflow.lastRun.annotations) && workflow.lastRun.annotations.length > 0;
   const isEnabled = workflow.isEnabled !== false;
   const lastRunDate = new Date(workflow.lastRun.created_at || workflow.lastRun.updated_at);
+  // Workflows cached before the run history was fetched only know their last run
+  const history = workflow.history || [workflow.lastRun];
+  const trend = getWorkflowTrend(history);
+  const timings = getWorkflowTimings(history);
 
   // Apply disabled styling
   const workflowNameClass = isEnabled ?
@@ -236,7 +294,7 @@ export function createWorkflowItem(workflow, options = {}) {
     "text-gray-500 dark:text-gray-400 hover:underline opacity-70";
 
   return `
-    <div class="flex flex-col gap-2">
+    <div data-workflow-key="${key}" class="flex flex-col gap-2">
       <div class="flex items-center justify-between">
         <div class="flex items-center gap-2">
           <span class="w-2 h-2 rounded-full bg-${color}-500"></span>
@@ -249,6 +307,18 @@ export function createWorkflowItem(workflow, options = {}) {
               disabled
             </span>
           ` : ''}
+          ${workflow.flakiness?.isFlaky && isEnabled ? `
+            <span class="text-xs px-1.5 py-0.5 bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200 rounded-full"
+                  title="${describeFlakiness(workflow.flakiness)}">
+              flaky
+            </span>
+          ` : ''}
+          ${timings.isSlowingDown && isEnabled ? `
+            <span class="text-xs px-1.5 py-0.5 bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200 rounded-full"
+                  title="Median duration of the latest runs compared with the earlier ones">
+              slower +${Math.round((timings.slowdown - 1) * 100)}%
+            </span>
+          ` : ''}
           ${hasAnnotations && isEnabled ? `
             <span class="text-xs px-1.5 py-0.5 bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 rounded-full">
               ${workflow.lastRun.annotations.length} annotation${workflow.lastRun.annotations.length !== 1 ? 's' : ''}
@@ -267,28 +337,327 @@ export function createWorkflowItem(workflow, options = {}) {
           ` : ''}
         </div>
       </div>
-      <div class="flex justify-between items-center">
+      <div class="flex flex-wrap justify-between items-center gap-2">
         <span class="text-xs text-gray-500 dark:text-gray-400">
           Last run: ${lastRunDate.toLocaleString(navigator.language, {
     dateStyle: 'medium',
     timeStyle: 'medium'
   })}
         </span>
+        <div class="flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+          ${trend.failingSince && isEnabled ? `
+            <span class="text-red-600 dark:text-red-400"
+                  title="${trend.failingStreak} failed run${trend.failingStreak !== 1 ? 's' : ''} since the last success">
+              Failing ${trend.streakExceedsHistory ? 'for over' : 'for'} ${formatDuration(now - trend.failingSince.getTime())}
+              (since ${trend.failingSince.toLocaleString(navigator.language, { dateStyle: 'medium', timeStyle: 'short' })})
+            </span>
+          ` : ''}
+          ${timings.runs ? `
+            <span title="${describeTimings(timings)}">
+              ⏱ ${formatRunDuration(timings.duration.p50Ms)} (p95 ${formatRunDuration(timings.duration.p95Ms)})
+              ${timings.queue.p50Ms !== null ? ` · queued ${formatRunDuration(timings.queue.p50Ms)}` : ''}
+            </span>
+          ` : ''}
+          ${trend.successRate !== null ? `
+            <span title="Passed runs of the last ${trend.decisiveRuns} that passed or failed">
+              ${Math.round(trend.successRate * 100)}% success
+            </span>
+          ` : ''}
+          ${createRunSparkline(history, getStatusColor)}
+        </div>
       </div>
       ${hasAnnotations && isEnabled && renderAnnotations ? renderAnnotations(workflow.lastRun.annotations) : ''}
+      ${workflow.lastRun.conclusion === 'failure' && isEnabled ? createJobLogPanel(workflow.lastRun, logsExpanded) : ''}
+      ${createSlowestJobsPanel(workflow.lastRun, timingsExpanded)}
+    </div>
+  `;
+}
+
+function describeTimings(timings) {
+  const describe = ({ avgMs, p50Ms, p95Ms }) =>
+    `avg ${formatRunDuration(avgMs)}, p50 ${formatRunDuration(p50Ms)}, p95 ${formatRunDuration(p95Ms)}`;
+  return `Duration of the last ${timings.runs} completed run${timings.runs !== 1 ? 's' : ''}: ${describe(timings.duration)}` +
+    (timings.queue.p50Ms !== null ? `\nQueue time: ${describe(timings.queue)}` : '');
+}
+
+/**
+ * Expandable list of the slowest jobs of a run and their slowest steps
+ * Runs cached before job timings were stored have nothing to show.
+ */
+function createSlowestJobsPanel(run, expanded) {
+  if (!run.slowestJobs?.length) {
+    return '';
+  }
+
+  return `
+    <details data-slowest-jobs ${expanded ? 'open' : ''} class="text-sm">
+      <summary class="cursor-pointer text-xs text-gray-600 dark:text-gray-400 hover:underline">
+        Slowest jobs of the last run
+      </summary>
+      <ol class="mt-2 space-y-2">
+        ${run.slowestJobs.map(job => `
+          <li>
+            <div class="flex justify-between gap-4 text-xs font-medium text-gray-700 dark:text-gray-300">
+              <span class="truncate">${escapeHtml(job.name)}</span>
+              <span class="shrink-0">${formatRunDuration(job.durationMs)}</span>
+            </div>
+            <ol class="pl-3 text-xs text-gray-500 dark:text-gray-400">
+              ${job.steps.map(step => `
+                <li class="flex justify-between gap-4">
+                  <span class="truncate">${escapeHtml(step.name)}</span>
+                  <span class="shrink-0">${formatRunDuration(step.durationMs)}</span>
+                </li>
+              `).join('')}
+            </ol>
+          </li>
+        `).join('')}
+      </ol>
+    </details>
+  `;
+}
+
+/**
+ * Expandable panel with one placeholder per failed step, filled by the dashboard with createJobLogExcerpt
+ * Runs cached before job IDs were stored have nothing to load.
+ */
+function createJobLogPanel(run, expanded) {
+  const failedSteps = (run.failureDetails || [])
+    .filter(job => job.id)
+    .flatMap(job => (job.steps.length ? job.steps : [{ name: '' }]).map(step => ({ job, step })));
+  if (!failedSteps.length) {
+    return '';
+  }
+
+  return `
+    <details data-job-logs ${expanded ? 'open' : ''} class="text-sm">
+      <summary class="cursor-pointer text-xs text-gray-600 dark:text-gray-400 hover:underline">
+        Error lines from the job log
+      </summary>
+      <div class="mt-2 space-y-3">
+        ${failedSteps.map(({ job, step }) => `
+          <div>
+            <div class="text-xs font-medium text-gray-700 dark:text-gray-300">
+              ${escapeHtml(job.name)}${step.name ? ` › ${escapeHtml(step.name)}` : ''}
+            </div>
+            <div data-job-log data-job-id="${job.id}" data-step-name="${escapeHtml(step.name)}">
+              <div class="animate-pulse h-16 bg-gray-200 dark:bg-gray-700 rounded"></div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * Render the error excerpt of a failed step
+ * @param {Object} excerpt - Result of GitHubActionsAPI.getJobLogExcerpt
+ * @returns {string} HTML for the excerpt
+ */
+export function createJobLogExcerpt(excerpt) {
+  if (excerpt.error) {
+    return `<p class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml(excerpt.error)}</p>`;
+  }
+  if (!excerpt.lines.length) {
+    return '<p class="text-xs text-gray-500 dark:text-gray-400">No error lines found in the log.</p>';
+  }
+
+  return `
+    ${excerpt.tool ? `
+      <span class="text-xs px-1.5 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded">${excerpt.tool}</span>
+    ` : ''}
+    <pre class="mt-1 p-2 overflow-x-auto text-xs leading-snug bg-gray-900 text-gray-100 rounded">${excerpt.truncated ? '…\n' : ''}${excerpt.lines.map(escapeHtml).join('\n')}</pre>
+  `;
+}
+
+function describeFlakiness(flakiness) {
+  const { flakyCommits, commits, reruns } = flakiness;
+  return `${flakyCommits} of ${commits} commit${commits !== 1 ? 's' : ''} both failed and passed` +
+    (reruns ? `, ${reruns} re-run${reruns !== 1 ? 's' : ''}` : '');
+}
+
+/**
+ * Generate the list of the flakiest workflows across all organizations
+ * @param {Array<{key: string, repoLabel: string, workflow: Object, url: string}>} entries - Workflows ranked by flakiness score
+ * @returns {string} HTML for the panel, empty if no workflow is flaky
+ */
+export function createFlakiestWorkflows(entries) {
+  if (!entries.length) {
+    return '';
+  }
+
+  return createPanel(`
+    <ol class="space-y-1">
+      ${entries.map(({ key, repoLabel, workflow, url }) => `
+        <li class="flex items-center justify-between gap-4 text-sm" data-flaky-workflow="${escapeHtml(key)}">
+          <a href="${escapeHtml(url)}" target="_blank" class="text-blue-600 dark:text-blue-400 hover:underline truncate">
+            <span class="text-gray-500 dark:text-gray-400">${escapeHtml(repoLabel)} ·</span> ${escapeHtml(workflow.workflowName)}
+          </a>
+          <span class="shrink-0 text-gray-600 dark:text-gray-300" title="${describeFlakiness(workflow.flakiness)}">
+            <span class="font-semibold text-orange-600 dark:text-orange-400">${Math.round(workflow.flakiness.score * 100)}%</span>
+            flaky · ${workflow.flakiness.flakyCommits}/${workflow.flakiness.commits} commits${workflow.flakiness.reruns ? ` · ${workflow.flakiness.reruns} re-runs` : ''}
+          </span>
+        </li>
+      `).join('')}
+    </ol>
+  `, {
+    heading: 'Flakiest workflows',
+    extraClasses: 'bg-white dark:bg-gray-800 p-4 rounded-lg shadow'
+  });
+}
+
+/**
+ * Generate the "where do our CI minutes go" panel
+ * @param {Object} breakdown - Sampled breakdown from getCiMinutesBreakdown
+ * @param {Object} options - Options
+ * @param {number} options.days - Period of the breakdown in days
+ * @param {number} options.limit - Repositories and workflows listed
+ * @returns {string} HTML for the panel, empty without completed runs in the period
+ */
+export function createCiMinutesBreakdown(breakdown, options = {}) {
+  const { days = 7, limit = 5 } = options;
+  if (!breakdown.totalMs) {
+    return '';
+  }
+
+  const renderShares = (heading, entries) => `
+    <div>
+      <h3 class="mb-2 text-sm font-medium text-gray-700 dark:text-gray-300">${heading}</h3>
+      <ol class="space-y-1">
+        ${entries.slice(0, limit).map(({ label, ms, truncated }) => {
+          const share = Math.round(ms / breakdown.totalMs * 100);
+          return `
+            <li class="text-sm">
+              <div class="flex justify-between gap-4">
+                <span class="truncate text-gray-700 dark:text-gray-300">${escapeHtml(label)}</span>
+                <span class="shrink-0 text-gray-500 dark:text-gray-400"
+                      ${truncated ? 'title="Every fetched run falls into the period, there were probably more"' : ''}>
+                  ${truncated ? 'over ' : ''}${formatRunDuration(ms)} · ${share}%
+                </span>
+              </div>
+              <div class="h-1.5 rounded bg-gray-100 dark:bg-gray-700">
+                <div class="h-1.5 rounded bg-blue-500" style="width: ${share}%"></div>
+              </div>
+            </li>
+          `;
+        }).join('')}
+      </ol>
+    </div>
+  `;
+
+  return createPanel(`
+    <p class="mb-4 text-sm text-gray-500 dark:text-gray-400">
+      About ${formatRunDuration(breakdown.totalMs)} of job time in the last ${days} days, sampled: each run of the fetched
+      history counts with the job time of its workflow's latest run.
+      ${breakdown.truncatedWorkflows ? `
+        ${breakdown.truncatedWorkflows} workflow${breakdown.truncatedWorkflows !== 1 ? 's' : ''} may have run more often than the
+        fetched history shows, raise the run history length in the settings to count more runs.
+      ` : ''}
+    </p>
+    <div class="grid gap-6 md:grid-cols-${breakdown.orgs.length > 1 ? 3 : 2}">
+      ${breakdown.orgs.length > 1 ? renderShares('Organizations', breakdown.orgs) : ''}
+      ${renderShares('Repositories', breakdown.repos)}
+      ${renderShares('Workflows', breakdown.workflows)}
+    </div>
+  `, {
+    heading: 'Where do our CI minutes go',
+    extraClasses: 'bg-white dark:bg-gray-800 p-4 rounded-lg shadow'
+  });
+}
+
+/**
+ * Generate the grid view of the Actions dashboard: repositories by workflow names
+ * @param {Object} matrix - Matrix from buildWorkflowMatrix
+ * @param {Object} options - Options
+ * @param {Function} options.getStatusColor - Function to determine status color
+ * @param {Function} options.getRepoLabel - Row heading of a repository
+ * @returns {string} HTML for the grid
+ */
+export function createWorkflowMatrix(matrix, options = {}) {
+  const { getStatusColor, getRepoLabel = repo => repo.name } = options;
+  const columns = matrix.groups.flatMap(group => group.columns);
+  const headerClass = 'bg-gray-50 dark:bg-gray-900 text-xs font-medium text-gray-600 dark:text-gray-300';
+  const hasGroupRow = matrix.groups.some(group => group.columns.length > 1);
+
+  const renderCell = workflows => {
+    if (!workflows) {
+      return '<td class="p-1"></td>';
+    }
+
+    // Several workflows of one repository in a column show the first failing one
+    const shown = workflows.find(workflow => workflow.lastRun.conclusion === 'failure') || workflows[0];
+    const { status, conclusion } = shown.lastRun;
+    const color = getStatusColor ? getStatusColor(status, conclusion) : 'gray';
+    const title = workflows.map(workflow =>
+      `${workflow.workflowName}: ${workflow.lastRun.status === 'completed' ? workflow.lastRun.conclusion : workflow.lastRun.status}`
+    ).join('\n');
+
+    return `
+      <td class="p-1 text-center">
+        <a href="${shown.lastRun.html_url}" target="_blank" title="${escapeHtml(title)}"
+           class="inline-flex items-center justify-center w-6 h-6 rounded bg-${color}-500 hover:opacity-70 text-white text-xs ${shown.isEnabled === false ? 'opacity-40' : ''}">
+          ${workflows.length > 1 ? workflows.length : ''}
+        </a>
+      </td>
+    `;
+  };
+
+  return `
+    <div class="bg-white dark:bg-gray-800 rounded-lg shadow overflow-auto max-h-[75vh]">
+      <table class="border-separate border-spacing-0">
+        <thead>
+          ${hasGroupRow ? `
+            <tr>
+              <th class="sticky top-0 left-0 z-30 h-8 ${headerClass}"></th>
+              ${matrix.groups.map(group => `
+                <th colspan="${group.columns.length}"
+                    class="sticky top-0 z-20 h-8 px-2 ${headerClass} ${group.columns.length > 1 ? 'border-b border-gray-300 dark:border-gray-600' : ''}">
+                  ${group.columns.length > 1 ? escapeHtml(group.label) : ''}
+                </th>
+              `).join('')}
+            </tr>
+          ` : ''}
+          <tr>
+            <th class="sticky ${hasGroupRow ? 'top-8' : 'top-0'} left-0 z-30 px-3 py-2 text-left ${headerClass}">Repository</th>
+            ${columns.map(column => `
+              <th class="sticky ${hasGroupRow ? 'top-8' : 'top-0'} z-20 px-2 py-2 align-bottom whitespace-nowrap ${headerClass}"
+                  title="${escapeHtml(column.key)}">
+                ${escapeHtml(column.label)}
+              </th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${matrix.rows.map(({ repo, cells }) => `
+            <tr class="hover:bg-gray-50 dark:hover:bg-gray-700">
+              <th class="sticky left-0 z-10 px-3 py-1 text-left text-sm font-normal whitespace-nowrap bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100">
+                ${getRepoLabel(repo)}
+              </th>
+              ${columns.map(column => renderCell(cells[column.key])).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
     </div>
   `;
 }
 
 /**
  * Create a PR item for GitHub Pull Requests
+ * Partial PRs (`pr.pending.reviews` / `pr.pending.user` / `pr.pending.checks`)
+ * render inline skeletons for the details that are still loading.
  * @param {Object} pr - Pull Request data
  * @param {Function} renderLabel - Function to render a PR label
  * @param {Function} renderReviewState - Function to render PR review state
+ * @param {Function} renderCheckStatus - Function to render the CI state of the PR head
+ * @param {Object} timing - Age and review timing of the PR, see getPRTiming in prMetrics.js
  * @returns {string} HTML for PR item
  */
 export function createPullRequestItem(pr, options = {}) {
-  const { renderLabel, renderReviewState } = options;
+  const { renderLabel, renderReviewState, renderCheckStatus, timing } = options;
+  const pendingReviews = !!pr.pending?.reviews;
+  const pendingUser = !!pr.pending?.user;
+  const pendingChecks = !!pr.pending?.checks;
 
   const borderColor = {
     'APPROVED': 'border-green-500',
@@ -303,31 +672,87 @@ export function createPullRequestItem(pr, options = {}) {
   const labels = renderLabel ?
     pr.labels.map(label => renderLabel(label)).join('') : '';
 
-  const reviewStateHtml = renderReviewState ?
-    renderReviewState(pr.reviewState) : '';
+  const reviewStateHtml = pendingReviews ?
+    createInlineSkeleton('w-24') :
+    renderReviewState ? renderReviewState(pr.reviewState) : '';
+
+  const checkStatusHtml = pendingChecks ?
+    createInlineSkeleton('w-12') :
+    renderCheckStatus && pr.checks ? renderCheckStatus(pr.checks) : '';
+
+  const reviewCountHtml = pendingReviews ?
+    createInlineSkeleton('w-16') :
+    `<span class="text-sm text-gray-500 dark:text-gray-400">
+          ${pr.reviews.length} reviews
+        </span>`;
+
+  const timingHtml = timing ? createPullRequestTiming(pr, timing) : '';
+
+  const authorHtml = pendingUser ?
+    `${createInlineSkeleton('w-20')} (${pr.user.login})` :
+    pr.user.name !== pr.user.login ? `${pr.user.name} (${pr.user.login})` : pr.user.login;
 
   return `
-    <div class="border-l-4 ${borderColor} pl-4 ${draftClass}">
+    <div data-pr-key="${pr.orgName}/${pr.repoName}#${pr.number}" class="border-l-4 ${borderColor} pl-4 ${draftClass} ${pr.isPartial ? 'pr-loading' : ''}">
       <div class="flex items-center gap-2">
         ${pr.isDraft ? '<span class="px-2 py-0.5 text-xs bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-300 rounded">DRAFT</span>' : ''}
+        ${timing?.isStale ? '<span class="px-2 py-0.5 text-xs bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200 rounded" title="No activity for longer than the stale threshold">STALE</span>' : ''}
         <a href="${pr.html_url}" target="_blank" class="text-lg font-medium ${titleClass} hover:underline truncate">
           ${pr.title}
         </a>
       </div>
       <div class="flex flex-wrap gap-1 mt-1">
         ${reviewStateHtml}
+        ${checkStatusHtml}
         ${labels}
-        <span class="text-sm text-gray-500 dark:text-gray-400">
-          ${pr.reviews.length} reviews
-        </span>
+        ${reviewCountHtml}
       </div>
       <p class="text-sm text-gray-600 dark:text-gray-400 mt-1">
-        By ${pr.user.name !== pr.user.login ? `${pr.user.name} (${pr.user.login})` : pr.user.login} • Updated: ${new Date(pr.updated_at).toLocaleString()}
+        By ${authorHtml} • Created: ${new Date(pr.created_at).toLocaleString()} • Updated: ${new Date(pr.updated_at).toLocaleString()}
       </p>
+      ${timingHtml}
     </div>
   `;
 }
 
+/**
+ * Age, last activity and review wait of a PR row
+ * @param {Object} pr - Pull Request data
+ * @param {Object} timing - Result of getPRTiming
+ * @returns {string} HTML for the timing line
+ */
+export function createPullRequestTiming(pr, timing) {
+  let reviewHtml;
+  if (pr.pending?.reviews) {
+    reviewHtml = createInlineSkeleton('w-24');
+  } else if (timing.waitingMs !== null) {
+    const waitingClass = timing.breachesSla ?
+      'text-red-600 dark:text-red-400 font-medium' : '';
+    reviewHtml = `<span class="${waitingClass}">Waiting ${formatDuration(timing.waitingMs)} for first review</span>`;
+  } else {
+    reviewHtml = `<span>First review after ${formatDuration(timing.firstReviewMs)}</span>`;
+  }
+
+  const idleClass = timing.isStale ? 'text-orange-600 dark:text-orange-400 font-medium' : '';
+
+  return `
+      <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+        <span>${formatDuration(timing.ageMs)} old</span> •
+        <span class="${idleClass}">Last activity ${formatDuration(timing.idleMs)} ago</span> •
+        ${reviewHtml}
+      </p>
+  `;
+}
+
+/**
+ * Create an inline loading skeleton that can sit inside text
+ * @param {string} width - Tailwind width class of the placeholder
+ * @returns {string} HTML for inline skeleton
+ */
+export function createInlineSkeleton(width = 'w-16') {
+  return `<span class="animate-pulse inline-block align-middle ${width} h-4 bg-gray-200 dark:bg-gray-700 rounded"></span>`;
+}
+
 /**
  * Creates a common loading skeleton for a list of items
  * @param {Object} options - Options for skeleton
@@ -380,6 +805,205 @@ export function createLastUpdatedText(date) {
   })}`;
 }
 
+/**
+ * Generate the organization filter buttons of a dashboard showing several organizations
+ * @param {Array<string>} orgNames - Shown organizations
+ * @param {Set<string>} activeOrgs - Organizations currently filtered for
+ * @returns {string} HTML for the organization filters
+ */
+export function createOrgFilters(orgNames, activeOrgs) {
+  return `
+    <span class="text-sm text-gray-600 dark:text-gray-400">Organization:</span>
+    ${orgNames.map(orgName => `
+      <button data-filter-type="orgs" data-filter-value="${orgName}"
+        class="btn filter-btn-inactive ${activeOrgs.has(orgName) ? 'filter-active' : ''}">
+        ${orgName}
+      </button>
+    `).join('')}
+  `;
+}
+
+/**
+ * Generate the filter preset picker of a filter bar
+ * @param {Array<string>} names - Preset names
+ * @param {Object} options - Picker state
+ * @param {string|null} options.active - Preset matching the current filters
+ * @param {string|null} options.defaultPreset - Preset applied when the dashboard opens
+ * @returns {string} HTML for the preset picker
+ */
+export function createPresetPicker(names, options = {}) {
+  const { active = null, defaultPreset = null } = options;
+  const buttonClass = 'px-2 py-1 text-sm bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200 rounded disabled:opacity-50';
+  const isDefault = active !== null && active === defaultPreset;
+
+  return `
+    <div class="flex flex-wrap items-center gap-2">
+      <label for="presetSelect" class="text-sm text-gray-600 dark:text-gray-400">Preset:</label>
+      <select id="presetSelect" class="px-2 py-1 text-sm border rounded dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
+        <option value="" ${active === null ? 'selected' : ''}>${names.length ? 'Custom filters' : 'No presets saved'}</option>
+        ${names.map(name => `
+          <option value="${escapeHtml(name)}" ${name === active ? 'selected' : ''}>
+            ${escapeHtml(name)}${name === defaultPreset ? ' (default)' : ''}
+          </option>
+        `).join('')}
+      </select>
+      <button type="button" data-preset-action="save" class="${buttonClass}" title="Save the current filters as a preset">Save as…</button>
+      <button type="button" data-preset-action="rename" class="${buttonClass}" ${active === null ? 'disabled' : ''}>Rename</button>
+      <button type="button" data-preset-action="delete" class="${buttonClass}" ${active === null ? 'disabled' : ''}>Delete</button>
+      <button type="button" data-preset-action="default" class="${buttonClass}" ${active === null ? 'disabled' : ''}
+        title="Apply this preset when the dashboard opens without filters in the link">
+        ${isDefault ? 'Unset default' : 'Set as default'}
+      </button>
+      <button type="button" data-preset-action="export" class="${buttonClass}" ${names.length ? '' : 'disabled'}>Export</button>
+      <button type="button" data-preset-action="import" class="${buttonClass}">Import</button>
+      <input type="file" data-preset-import accept="application/json,.json" class="hidden" />
+    </div>
+  `;
+}
+
+/**
+ * Generate the autocomplete list of the search box
+ * @param {Array<{text: string, description: string}>} suggestions - Suggestions from getSearchSuggestions
+ * @param {number} activeIndex - Index of the keyboard-selected suggestion
+ * @returns {string} HTML for the suggestion list
+ */
+export function createSearchSuggestions(suggestions, activeIndex = -1) {
+  return suggestions.map((suggestion, index) => `
+    <button type="button" data-suggestion-index="${index}"
+      class="w-full flex justify-between gap-4 px-3 py-1 text-left text-sm ${index === activeIndex ? 'bg-blue-100 dark:bg-blue-800' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}">
+      <span class="font-mono text-gray-900 dark:text-gray-100">${escapeHtml(suggestion.text)}</span>
+      <span class="text-gray-500 dark:text-gray-400">${escapeHtml(suggestion.description)}</span>
+    </button>
+  `).join('');
+}
+
+/**
+ * Generate the settings modal shared by both dashboards
+ * @param {Object} settings - Settings to show, see settings.js
+ * @param {Object} errors - Error message per field from validateSettings
+ * @param {Object} cacheTypes - Label per cache type, see CACHE_TYPES
+ * @returns {string} HTML for the modal
+ */
+export function createSettingsModal(settings, errors = {}, cacheTypes = {}) {
+  const inputClass = 'w-full px-2 py-1 text-sm border rounded dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200';
+  const field = (name, label, input, hint = '') => `
+    <div>
+      <label for="setting-${name}" class="block text-sm font-medium text-gray-700 dark:text-gray-300">${label}</label>
+      ${input}
+      ${hint ? `<p class="text-xs text-gray-500 dark:text-gray-400">${hint}</p>` : ''}
+      ${errors[name] ? `<p class="text-xs text-red-600 dark:text-red-400">${escapeHtml(errors[name])}</p>` : ''}
+    </div>
+  `;
+  const textInput = (name, value, type = 'text') => `
+    <input type="${type}" id="setting-${name}" name="${name}" value="${escapeHtml(String(value))}"
+      class="${inputClass} ${errors[name] ? 'border-red-500' : ''}" autocomplete="off" />
+  `;
+  const numberInput = (name, value, min) => textInput(name, value, 'number').replace('/>', `min="${min}" step="1" />`);
+
+  return `
+    <div data-settings-overlay class="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <form id="settingsForm" role="dialog" aria-modal="true" aria-labelledby="settingsTitle" novalidate
+        class="w-full max-w-2xl max-h-full overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 space-y-6">
+        <h2 id="settingsTitle" class="text-xl font-semibold text-gray-900 dark:text-white">Settings</h2>
+
+        <fieldset class="space-y-3">
+          <legend class="text-sm font-semibold text-gray-900 dark:text-white">Access</legend>
+          ${field('newToken', settings.encryptedToken ? 'New GitHub token' : 'GitHub token', textInput('newToken', '', 'password'),
+            `Needs the repo and read:org scopes${settings.encryptedToken ? '. Leave empty to keep the stored token' : ''}`)}
+          <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            ${field('passphrase', 'Passphrase', textInput('passphrase', '', 'password'), 'Encrypts a new token, asked for when a session starts')}
+            ${field('confirmation', 'Repeat passphrase', textInput('confirmation', '', 'password'))}
+          </div>
+          ${field('idleLockMinutes', 'Lock when idle (minutes)', numberInput('idleLockMinutes', settings.idleLockMinutes, 0), '0 never locks')}
+          ${field('orgNames', 'Organizations', textInput('orgNames', settings.orgNames.join(', ')), 'Comma-separated, the first one is the primary organization')}
+        </fieldset>
+
+        <fieldset class="space-y-3">
+          <legend class="text-sm font-semibold text-gray-900 dark:text-white">Cache durations (minutes)</legend>
+          <div class="grid grid-cols-2 sm:grid-cols-3 gap-3">
+            ${Object.entries(cacheTypes).map(([type, label]) =>
+              field(`cacheMinutes.${type}`, label, numberInput(`cacheMinutes.${type}`, settings.cacheMinutes[type], 1))
+            ).join('')}
+          </div>
+        </fieldset>
+
+        <fieldset class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <legend class="text-sm font-semibold text-gray-900 dark:text-white mb-3">Dashboard</legend>
+          ${field('refreshMinutes', 'Auto-refresh (minutes)', numberInput('refreshMinutes', settings.refreshMinutes, 0), '0 disables auto-refresh')}
+          ${field('reposPerPage', 'Active repositories shown', numberInput('reposPerPage', settings.reposPerPage, 1))}
+          ${field('runHistoryLength', 'Runs per workflow trend', numberInput('runHistoryLength', settings.runHistoryLength, 1))}
+          ${field('staleDays', 'Stale after (days)', numberInput('staleDays', settings.staleDays, 1))}
+          ${field('reviewSlaHours', 'Review SLA (hours)', numberInput('reviewSlaHours', settings.reviewSlaHours, 1))}
+          <div class="sm:col-span-2">
+            ${field('hiddenBotAccounts', 'Hidden bot accounts', textInput('hiddenBotAccounts', settings.hiddenBotAccounts.join(', ')), 'Comma-separated logins whose PRs are never shown, e.g. snyk-bot, github-actions[bot]')}
+          </div>
+        </fieldset>
+
+        <div class="flex justify-end gap-2">
+          ${settings.encryptedToken ? `
+            <button type="button" data-settings-lock
+              class="mr-auto px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200 rounded">
+              Lock now
+            </button>
+          ` : ''}
+          <button type="button" data-settings-cancel
+            class="px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200 rounded">
+            Cancel
+          </button>
+          <button type="submit" class="px-4 py-2 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded">Save</button>
+        </div>
+      </form>
+    </div>
+  `;
+}
+
+/**
+ * Generate the screen asking for the token passphrase
+ * @param {'unlock'|'protect'} mode - Unlock the stored token, or choose a passphrase for a new one
+ * @param {string} error - Error of the last attempt
+ * @returns {string} HTML for the lock screen
+ */
+export function createLockScreen(mode, error = '') {
+  const inputClass = 'w-full px-3 py-2 border rounded dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200';
+  const secondaryButtonClass = 'px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200 rounded';
+  const isUnlock = mode === 'unlock';
+
+  return `
+    <div class="fixed inset-0 z-50 flex items-center justify-center bg-gray-100 dark:bg-gray-900 p-4">
+      <form role="dialog" aria-modal="true" aria-labelledby="lockTitle"
+        class="w-full max-w-sm bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 space-y-4">
+        <h2 id="lockTitle" class="text-xl font-semibold text-gray-900 dark:text-white">
+          ${isUnlock ? 'Unlock the dashboard' : 'Protect your token'}
+        </h2>
+        <p class="text-sm text-gray-600 dark:text-gray-400">
+          ${isUnlock ?
+            'Enter your passphrase to decrypt the stored GitHub token.' :
+            'Choose a passphrase to store the GitHub token encrypted. You will be asked for it when a new session starts.'}
+        </p>
+        <input type="password" name="passphrase" placeholder="Passphrase" autocomplete="current-password" class="${inputClass}" />
+        ${isUnlock ? '' : `
+          <input type="password" name="confirmation" placeholder="Repeat passphrase" autocomplete="new-password" class="${inputClass}" />
+        `}
+        ${error ? `<p class="text-sm text-red-600 dark:text-red-400">${escapeHtml(error)}</p>` : ''}
+        <div class="flex justify-between gap-2">
+          ${isUnlock ?
+            `<button type="button" data-lock-action="forget" class="${secondaryButtonClass}">Forget token</button>` :
+            `<button type="button" data-lock-action="skip" class="${secondaryButtonClass}" title="The token is gone when this tab is closed">This session only</button>`}
+          <button type="submit" class="px-4 py-2 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded disabled:opacity-50">
+            ${isUnlock ? 'Unlock' : 'Encrypt and continue'}
+          </button>
+        </div>
+      </form>
+    </div>
+  `;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
 /**
  * Helper function for updating button active/inactive state
  * @param {HTMLElement} button - Button element to update
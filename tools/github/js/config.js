@@ -1,3 +1,6 @@
+import { loadSettings, updateSettings } from './settings.js';
+import { getSessionToken } from './tokenVault.js';
+
 export const config = {
   token: (() => {
     try {
@@ -15,46 +18,68 @@ export const config = {
   })()
 };
 
-// Create a unified storage for dashboard configurations
+// Organizations are part of the dashboard settings, see settings.js.
+// The token is stored encrypted and unlocked per session, see sessionLock.js
 export function saveDashboardConfig(configObj) {
-  localStorage.setItem('gh-dashboard-config', JSON.stringify(configObj));
+  updateSettings({ orgNames: parseOrgList(configObj.orgNames || configObj.orgName) });
 }
 
 export function getDashboardConfig() {
-  try {
-    const saved = localStorage.getItem('gh-dashboard-config');
-    return saved ? JSON.parse(saved) : {};
-  } catch (e) {
-    console.warn('Failed to parse dashboard config', e);
-    return {};
-  }
+  const { orgNames } = loadSettings();
+  return {
+    token: getSessionToken(),
+    orgName: orgNames[0],
+    orgNames
+  };
+}
+
+/**
+ * Split a list of organizations separated by commas or whitespace, without duplicates
+ * @param {string|Array<string>} value - e.g. "lx-media, other-org"
+ * @returns {Array<string>}
+ */
+export function parseOrgList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(items.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Persist the organizations shown by the dashboards, the first one is the primary organization
+ * @param {Array<string>} orgNames - Organization logins
+ */
+export function saveOrgNames(orgNames) {
+  saveDashboardConfig({
+    ...getDashboardConfig(),
+    orgName: orgNames[0],
+    orgNames
+  });
 }
 
 export function getConfig() {
   // Check URL parameters first (they take precedence)
+  // Several organizations: ?org=a,b or ?org=a&org=b
+  // A `?token=` parameter has already been taken into the session by unlockSession
   const params = new URLSearchParams(window.location.search);
-  const urlToken = params.get('token');
-  const urlOrg = params.get('org');
+  const urlOrgs = parseOrgList(params.getAll('org').join(','));
 
-  // Check localStorage next
+  // Check the saved settings next
   const savedConfig = getDashboardConfig();
+  const savedOrgs = savedConfig.orgNames;
 
   // Determine final values with URL params taking highest precedence
-  const token = urlToken || savedConfig.token || config.token;
-  const orgName = urlOrg || savedConfig.orgName || config.defaultOrg;
+  const token = savedConfig.token || config.token;
+  const orgNames = [urlOrgs, savedOrgs, parseOrgList(config.defaultOrg)].find(orgs => orgs.length) || [];
+  const orgName = orgNames[0];
 
-  // Save the determined values to localStorage if they came from URL
-  if (urlToken || urlOrg) {
-    saveDashboardConfig({
-      ...savedConfig,
-      token: urlToken || savedConfig.token,
-      orgName: urlOrg || savedConfig.orgName
-    });
+  // Save the organizations to localStorage if they came from URL
+  if (urlOrgs.length) {
+    saveDashboardConfig({ orgNames: urlOrgs });
   }
 
   return {
     token,
-    orgName
+    orgName,
+    orgNames
   };
 }
 
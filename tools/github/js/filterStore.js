@@ -1,43 +1,324 @@
+import tabSync, { SyncMessage } from './tabSync.js';
+import { onFilterHashChange, readFilterHash, writeFilterHash } from './urlState.js';
+
+export const PRESET_EXPORT_VERSION = 1;
+
+export function getDefaultFilters() {
+  return {
+    hideRenovate: false,
+    hideDependabot: false,
+    hideDraft: true, // Set default to true to hide draft PRs by default
+    sortNewest: true,
+    labels: [],
+    reviewStates: [],
+    ciStates: [],
+    orgs: [],
+    search: '',
+    labelOperator: 'OR' // Add default operator
+  };
+}
+
+function cloneFilters(filters) {
+  return JSON.parse(JSON.stringify(filters));
+}
+
 export class FilterStore {
-  constructor() {
-    this.storageKey = 'gh-dashboard-filters';
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.storageKey - localStorage key of the current filters, presets use `${storageKey}-presets`
+   * @param {Object} options.defaults - Default filters, also the set of keys kept in presets and the URL hash
+   */
+  constructor(options = {}) {
+    const {
+      storageKey = 'gh-dashboard-filters',
+      defaults = getDefaultFilters()
+    } = options;
+
+    this.storageKey = storageKey;
+    this.presetStorageKey = `${storageKey}-presets`;
+    this.defaults = defaults;
+    this.listeners = new Set();
+    this.changeListeners = new Set();
+    this.presetListeners = new Set();
+    this.presetState = this.loadPresets();
     this.filters = this.loadFilters();
+
+    // Make the restored state shareable right away
+    writeFilterHash(this.filters, this.defaults);
+
+    // Pick up filter changes made in other tabs
+    tabSync.subscribe(SyncMessage.FILTERS_CHANGED, ({ storageKey, filters }) => {
+      if (storageKey !== this.storageKey) {
+        return;
+      }
+      this.filters = filters;
+      writeFilterHash(this.filters, this.defaults);
+      this.notifyListeners();
+    });
+
+    tabSync.subscribe(SyncMessage.PRESETS_CHANGED, ({ storageKey, presetState }) => {
+      if (storageKey !== this.presetStorageKey) {
+        return;
+      }
+      this.presetState = presetState;
+      this.presetListeners.forEach(listener => listener());
+    });
+
+    // Back/forward through filter changes
+    onFilterHashChange(this.defaults, (filters) => {
+      this.filters = filters;
+      localStorage.setItem(this.storageKey, JSON.stringify(this.filters));
+      this.notifyListeners();
+    });
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => listener(this.filters));
+    this.changeListeners.forEach(listener => listener(this.filters));
+  }
+
+  /**
+   * Listen for filters changed by another tab, by history navigation or by switching presets
+   * @param {Function} listener Called with the new filters
+   * @returns {Function} Unsubscribe function
+   */
+  onExternalChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Listen for any filter change, including those made through this store
+   * @param {Function} listener Called with the new filters
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
   }
 
+  /**
+   * Filters of a shared link take precedence over the default preset, which
+   * takes precedence over the filters stored by the last visit
+   */
   loadFilters() {
+    const fromHash = readFilterHash(this.defaults);
+    if (fromHash) {
+      return { ...cloneFilters(this.defaults), ...fromHash };
+    }
+
+    const defaultPreset = this.presetState.presets[this.presetState.defaultPreset];
+    if (defaultPreset) {
+      return { ...cloneFilters(this.defaults), ...cloneFilters(defaultPreset) };
+    }
+
     const stored = localStorage.getItem(this.storageKey);
-    return stored ? JSON.parse(stored) : {
-      hideRenovate: false,
-      hideDependabot: false,
-      hideDraft: true, // Set default to true to hide draft PRs by default
-      sortNewest: true,
-      labels: [],
-      reviewStates: [],
-      search: '',
-      labelOperator: 'OR' // Add default operator
-    };
-  }
-
-  saveFilters() {
+    return stored ? { ...cloneFilters(this.defaults), ...JSON.parse(stored) } : cloneFilters(this.defaults);
+  }
+
+  /**
+   * @param {Object} options - Save options
+   * @param {boolean} options.push - Add a history entry for this change instead of replacing the current one
+   */
+  saveFilters({ push = true } = {}) {
     localStorage.setItem(this.storageKey, JSON.stringify(this.filters));
+    tabSync.publish(SyncMessage.FILTERS_CHANGED, { storageKey: this.storageKey, filters: this.filters });
+    writeFilterHash(this.filters, this.defaults, { push });
+    this.changeListeners.forEach(listener => listener(this.filters));
   }
 
-  updateFilter(key, value) {
+  updateFilter(key, value, options = {}) {
     this.filters[key] = value;
-    this.saveFilters();
+    this.saveFilters(options);
+  }
+
+  /**
+   * Replace all filters at once
+   * @param {Object} filters - New filters
+   * @param {Object} options - Save options, see saveFilters
+   */
+  setFilters(filters, options = {}) {
+    this.filters = { ...cloneFilters(this.defaults), ...cloneFilters(filters) };
+    this.saveFilters(options);
   }
 
   clearFilters() {
-    this.filters = {
-      hideRenovate: false,
-      hideDependabot: false,
-      hideDraft: true, // Keep draft PRs hidden by default even after clearing filters
-      sortNewest: true,
-      labels: [],
-      reviewStates: [],
-      search: '',
-      labelOperator: 'OR' // Add default operator
-    };
+    // Draft PRs stay hidden by default even after clearing filters
+    this.filters = cloneFilters(this.defaults);
     this.saveFilters();
   }
+
+  loadPresets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.presetStorageKey));
+      if (stored?.presets) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Failed to load filter presets:', error);
+    }
+    return { presets: {}, defaultPreset: null };
+  }
+
+  savePresets() {
+    localStorage.setItem(this.presetStorageKey, JSON.stringify(this.presetState));
+    tabSync.publish(SyncMessage.PRESETS_CHANGED, {
+      storageKey: this.presetStorageKey,
+      presetState: this.presetState
+    });
+    this.presetListeners.forEach(listener => listener());
+  }
+
+  /**
+   * Listen for added, renamed, deleted or imported presets, here or in another tab
+   * @param {Function} listener Called without arguments
+   * @returns {Function} Unsubscribe function
+   */
+  onPresetsChange(listener) {
+    this.presetListeners.add(listener);
+    return () => this.presetListeners.delete(listener);
+  }
+
+  /**
+   * Names of all presets, sorted
+   */
+  getPresetNames() {
+    return Object.keys(this.presetState.presets).sort((a, b) => a.localeCompare(b));
+  }
+
+  getDefaultPreset() {
+    return this.presetState.defaultPreset;
+  }
+
+  /**
+   * Name of the preset the current filters match, if any
+   */
+  getActivePreset() {
+    // The order in which list filters were picked does not matter
+    const normalize = filters => JSON.stringify(
+      Object.entries(this.pickFilterKeys(filters))
+        .map(([key, value]) => [key, Array.isArray(value) ? [...value].sort() : value])
+    );
+    const current = normalize(this.filters);
+    return this.getPresetNames().find(name => normalize(this.presetState.presets[name]) === current) || null;
+  }
+
+  /**
+   * Only the keys known from the defaults, in their order
+   */
+  pickFilterKeys(filters) {
+    return Object.fromEntries(
+      Object.keys(this.defaults).map(key => [key, filters[key] ?? this.defaults[key]])
+    );
+  }
+
+  /**
+   * Store the current filters under a name, replacing a preset of the same name
+   * @param {string} name - Preset name
+   */
+  savePreset(name) {
+    this.presetState.presets[name] = cloneFilters(this.pickFilterKeys(this.filters));
+    this.savePresets();
+  }
+
+  /**
+   * @param {string} oldName - Current preset name
+   * @param {string} newName - New preset name
+   * @throws {Error} If the preset does not exist or the new name is taken
+   */
+  renamePreset(oldName, newName) {
+    const { presets } = this.presetState;
+    if (!presets[oldName]) {
+      throw new Error(`Preset "${oldName}" does not exist`);
+    }
+    if (oldName === newName) {
+      return;
+    }
+    if (presets[newName]) {
+      throw new Error(`Preset "${newName}" already exists`);
+    }
+
+    presets[newName] = presets[oldName];
+    delete presets[oldName];
+    if (this.presetState.defaultPreset === oldName) {
+      this.presetState.defaultPreset = newName;
+    }
+    this.savePresets();
+  }
+
+  deletePreset(name) {
+    delete this.presetState.presets[name];
+    if (this.presetState.defaultPreset === name) {
+      this.presetState.defaultPreset = null;
+    }
+    this.savePresets();
+  }
+
+  /**
+   * Preset applied when the dashboard opens without filters in the URL
+   * @param {string|null} name - Preset name, null to open with the filters of the last visit
+   */
+  setDefaultPreset(name) {
+    this.presetState.defaultPreset = name && this.presetState.presets[name] ? name : null;
+    this.savePresets();
+  }
+
+  /**
+   * Switch to a preset, the dashboard follows through onExternalChange
+   * @param {string} name - Preset name
+   */
+  applyPreset(name) {
+    const preset = this.presetState.presets[name];
+    if (!preset) {
+      return;
+    }
+    this.setFilters(preset);
+    this.listeners.forEach(listener => listener(this.filters));
+  }
+
+  /**
+   * Presets as JSON to share with the team
+   * @returns {string}
+   */
+  exportPresets() {
+    return JSON.stringify({
+      version: PRESET_EXPORT_VERSION,
+      storageKey: this.storageKey,
+      presets: this.presetState.presets
+    }, null, 2);
+  }
+
+  /**
+   * Add presets exported by exportPresets, replacing presets of the same name
+   * @param {string} json - Exported presets
+   * @returns {number} Number of imported presets
+   * @throws {Error} If the JSON is not a preset export of this dashboard
+   */
+  importPresets(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid preset file: ${error.message}`);
+    }
+
+    if (data?.version !== PRESET_EXPORT_VERSION || typeof data.presets !== 'object' || data.presets === null) {
+      throw new Error('Invalid preset file: not a filter preset export');
+    }
+
+    // Presets of the other dashboard share no filter keys with this one
+    const knownKeys = Object.keys(this.defaults);
+    const entries = Object.entries(data.presets).filter(([, filters]) =>
+      filters && typeof filters === 'object' && Object.keys(filters).some(key => knownKeys.includes(key))
+    );
+    if (!entries.length) {
+      throw new Error('Invalid preset file: no presets for this dashboard');
+    }
+
+    entries.forEach(([name, filters]) => {
+      this.presetState.presets[name] = cloneFilters(this.pickFilterKeys(filters));
+    });
+    this.savePresets();
+    return entries.length;
+  }
 }
@@ -1,13 +1,21 @@
 import errorService, { ErrorCategory, ErrorSeverity } from './ErrorService.js';
 import cacheService from './CacheService.js';
+import GitHubClient from './githubClient.js';
+import GitHubActionsAPI from './actionsApi.js';
+import { MAX_PER_PAGE } from './paginator.js';
+import { RequestPriority, isAbortError } from './requestScheduler.js';
+import { loadSettings } from './settings.js';
+
+// The search API never returns more than 1000 results, 10 pages of 100
+const MAX_SEARCH_PAGES = 10;
 
 class GitHubAPI {
   constructor(token) {
-    this.token = token;
-    this.baseUrl = 'https://api.github.com';
-    this.rateLimitWarningThreshold = 100; // Warn when remaining calls are below this
-    this.onRateLimitWarning = () => { }; // Callback for rate limit warnings
-    this.reposPerPage = parseInt(localStorage.getItem('gh-dashboard-repos-per-page')) || 20;
+    // Auth, caching, pagination and rate limit events, see githubClient.js
+    this.client = new GitHubClient({ token });
+    // Commit statuses and check runs of PR heads
+    this.actions = new GitHubActionsAPI(token, { client: this.client });
+    this.reposPerPage = loadSettings().reposPerPage;
 
     // Set up cache behaviors - using the new CacheService
     this.setupCacheConfig();
@@ -17,210 +25,19 @@ class GitHubAPI {
    * Configure caching behavior
    */
   setupCacheConfig() {
-    // We can adjust cache durations based on needs
-    const userSettings = {
-      cacheTime: parseInt(localStorage.getItem('gh-dashboard-cache-minutes')) || null,
-      userCacheTime: parseInt(localStorage.getItem('gh-dashboard-user-cache-days')) || null
-    };
-
-    // Apply custom cache duration if user has set it
-    if (userSettings.cacheTime && !isNaN(userSettings.cacheTime)) {
-      cacheService.setDefaultDuration('pr', userSettings.cacheTime);
-      cacheService.setDefaultDuration('repo', userSettings.cacheTime * 2); // repos cache longer than PRs
-    }
-
-    if (userSettings.userCacheTime && !isNaN(userSettings.userCacheTime)) {
-      cacheService.setDefaultDuration('user', userSettings.userCacheTime * 24 * 60); // convert days to minutes
-    }
-  }
-
-  /**
-   * Make API requests with caching and rate limit handling
-   */
-  async fetchWithRateLimit(url, options = {}) {
-    // Generate a cache key from the URL and any relevant options
-    const cacheKey = this.generateCacheKey(url, options);
-    const cacheType = this.determineCacheType(url);
-
-    // Try to get from cache first
-    const cachedData = cacheService.get(cacheType, cacheKey);
-    if (cachedData) {
-      return cachedData.data;
-    }
-
-    try {
-      const response = await fetch(url, {
-        ...options,
-        headers: {
-          'Authorization': `token ${this.token}`,
-          'Accept': 'application/vnd.github.v3+json',
-          ...options.headers
-        }
-      });
-
-      // Handle rate limits
-      this.handleRateLimits(response, url);
-
-      if (!response.ok) {
-        await this.handleErrorResponse(response, url, options);
-      }
-
-      const data = await response.json();
-
-      // Store in cache with appropriate type
-      cacheService.set(cacheType, cacheKey, data);
-
-      return data;
-    } catch (error) {
-      // For network errors (fetch failures) that aren't API errors
-      if (!error.status) {
-        errorService.logError(`Network Error: ${error.message}`, {
-          error,
-          category: ErrorCategory.NETWORK,
-          context: { endpoint: url }
-        });
-      }
-      throw error;
-    }
-  }
-
-  /**
-   * Generate a consistent cache key
-   */
-  generateCacheKey(url, options = {}) {
-    // Extract query parameters for the cache key
-    const queryStart = url.indexOf('?');
-    const baseUrl = queryStart > -1 ? url.substring(0, queryStart) : url;
-    const queryParams = queryStart > -1 ? url.substring(queryStart) : '';
-
-    // Include body in cache key if it's a POST/PUT request
-    let bodyKey = '';
-    if (options.method && ['POST', 'PUT', 'PATCH'].includes(options.method.toUpperCase()) && options.body) {
-      try {
-        // If it's JSON, we can use it directly
-        if (typeof options.body === 'string') {
-          bodyKey = `-${options.body}`;
-        } else {
-          bodyKey = `-${JSON.stringify(options.body)}`;
-        }
-      } catch {
-        // If we can't stringify it, use a simple hash
-        bodyKey = `-body-${options.body.length || 0}`;
-      }
-    }
-
-    // Create a key that uniquely identifies this request
-    return `${baseUrl}${queryParams}${bodyKey}`;
-  }
-
-  /**
-   * Determine the appropriate cache type based on the URL
-   */
-  determineCacheType(url) {
-    if (url.includes('/pulls') || url.includes('/pull/')) {
-      return 'PR';
-    } else if (url.includes('/repos/') && !url.includes('/pulls')) {
-      return 'REPOS';
-    } else if (url.includes('/orgs/')) {
-      return 'ORG';
-    } else if (url.includes('/users/')) {
-      return 'USER';
-    } else if (url.includes('/actions/')) {
-      return 'ACTIONS';
-    } else {
-      // Default for any other endpoints
-      return 'REPOS';
-    }
-  }
-
-  /**
-   * Handle GitHub API rate limits
-   */
-  handleRateLimits(response, url) {
-    const remaining = parseInt(response.headers.get('x-ratelimit-remaining') || '0');
-    const resetTime = parseInt(response.headers.get('x-ratelimit-reset') || '0') * 1000;
-
-    if (remaining < this.rateLimitWarningThreshold) {
-      // Log rate limit warning through ErrorService
-      errorService.logError(`GitHub API Rate Limit Warning: ${remaining} calls remaining until ${new Date(resetTime)}`, {
-        category: ErrorCategory.RATE_LIMIT,
-        severity: ErrorSeverity.WARNING,
-        context: {
-          remaining,
-          resetTime: new Date(resetTime),
-          endpoint: url
-        }
-      });
-
-      // Trigger warning callback if set
-      this.onRateLimitWarning({
-        remaining,
-        resetTime: new Date(resetTime),
-        resetTimeMs: resetTime - Date.now()
-      });
-
-      // Adjust cache durations based on rate limit status
-      // If we're low on API calls, make the cache last longer
-      if (remaining < 50) {
-        const multiplier = remaining < 20 ? 3 : 2;
-        cacheService.setDefaultDuration('pr', cacheService.defaultDurations.pr * multiplier);
-        cacheService.setDefaultDuration('repo', cacheService.defaultDurations.repo * multiplier);
-      }
-    }
-
-    // Special handling for rate limit exceeded
-    if (!response.ok && response.status === 403 && remaining === 0) {
-      const resetDate = new Date(resetTime);
-      const error = new Error(`GitHub API Rate Limit exceeded. Resets at ${resetDate}`);
-      error.status = response.status;
-      error.resetTime = resetDate;
-
-      errorService.logError(`GitHub API Rate Limit exceeded. Resets at ${resetDate}`, {
-        category: ErrorCategory.RATE_LIMIT,
-        severity: ErrorSeverity.ERROR,
-        context: {
-          endpoint: url,
-          resetTime: resetDate,
-          status: response.status
-        }
-      });
-
-      throw error;
-    }
+    // Cache durations per type from the settings
+    const { cacheMinutes } = loadSettings();
+    cacheService.setDefaultDuration('pr', cacheMinutes.pr);
+    cacheService.setDefaultDuration('repo', cacheMinutes.repos);
+    cacheService.setDefaultDuration('org', cacheMinutes.org);
+    cacheService.setDefaultDuration('user', cacheMinutes.user);
   }
 
   /**
-   * Handle error responses
+   * Last seen rate limit `{ remaining, resetTime }`, used by the refresh scheduler
    */
-  async handleErrorResponse(response, url, options) {
-    const responseText = await response.text();
-    let responseData = {};
-    try {
-      responseData = JSON.parse(responseText);
-    } catch {
-      // Text wasn't JSON, use as is
-    }
-
-    // Build error message with documentation URL if available
-    let errorMessage = responseData.message || response.statusText || 'Unknown error';
-    if (responseData.documentation_url) {
-      errorMessage += ` (See: ${responseData.documentation_url})`;
-    }
-
-    const error = new Error(`GitHub API Error: ${errorMessage}`);
-    error.status = response.status;
-    error.response = responseData;
-    error.documentationUrl = responseData.documentation_url;
-
-    // Log through Error Service with appropriate category
-    const category =
-      response.status === 401 || response.status === 403 ? ErrorCategory.AUTH :
-        response.status === 404 ? ErrorCategory.API :
-          ErrorCategory.NETWORK;
-
-    errorService.logApiError(error, url, options);
-
-    throw error;
+  get rateLimit() {
+    return this.client.rateLimit;
   }
 
   /**
@@ -236,7 +53,7 @@ class GitHubAPI {
     }
 
     try {
-      const user = await this.fetchWithRateLimit(`${this.baseUrl}/users/${username}`);
+      const user = await this.client.request(`/users/${username}`);
       const data = {
         login: user.login,
         name: user.name || user.login
@@ -246,6 +63,10 @@ class GitHubAPI {
       cacheService.set('USER', cacheKey, data);
       return data;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
       // Log error but don't fail the operation
       errorService.logError(`Failed to fetch details for user ${username}`, {
         error,
@@ -259,12 +80,49 @@ class GitHubAPI {
     }
   }
 
+  /**
+   * Get the user the token belongs to
+   * @returns {Promise<Object>} `{ login, name }`
+   */
+  async getAuthenticatedUser() {
+    const user = await this.client.request('/user', { priority: RequestPriority.HIGH });
+    return {
+      login: user.login,
+      name: user.name || user.login
+    };
+  }
+
+  /**
+   * Get the slugs of the teams the authenticated user belongs to within an organization.
+   * Needs the `read:org` scope, without it no team review requests are matched.
+   */
+  async getUserTeams(orgName) {
+    try {
+      const teams = await this.client.fetchAllPages('/user/teams');
+      return teams
+        .filter(team => team.organization?.login?.toLowerCase() === orgName.toLowerCase())
+        .map(team => team.slug);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
+      errorService.logError('Failed to fetch teams of the authenticated user', {
+        error,
+        category: ErrorCategory.AUTH,
+        severity: ErrorSeverity.WARNING,
+        context: { orgName }
+      });
+      return [];
+    }
+  }
+
   /**
    * Get organization details with caching
    */
   async getOrganization(orgName) {
     try {
-      return await this.fetchWithRateLimit(`${this.baseUrl}/orgs/${orgName}`);
+      return await this.client.request(`/orgs/${orgName}`);
     } catch (error) {
       // Enhanced error with more context
       const enhancedError = new Error(`Failed to fetch organization '${orgName}': ${error.message}`);
@@ -278,15 +136,19 @@ class GitHubAPI {
    */
   async getActiveRepositories(orgName) {
     try {
-      const repos = await this.fetchWithRateLimit(
-        `${this.baseUrl}/orgs/${orgName}/repos?sort=pushed&direction=desc&per_page=${this.reposPerPage}`,
+      // Only request as many pages as needed to cover reposPerPage
+      const perPage = Math.min(this.reposPerPage, MAX_PER_PAGE);
+      const repos = await this.client.fetchAllPages(
+        `/orgs/${orgName}/repos?sort=pushed&direction=desc&per_page=${perPage}`,
         {
           headers: {
             'Accept': 'application/vnd.github.mercy-preview+json' // Required for topics
-          }
-        }
+          },
+          priority: RequestPriority.HIGH
+        },
+        { maxPages: Math.ceil(this.reposPerPage / perPage), warnOnCap: false }
       );
-      return repos.filter(repo => !repo.archived);
+      return repos.slice(0, this.reposPerPage).filter(repo => !repo.archived);
     } catch (error) {
       const enhancedError = new Error(`Failed to fetch repositories for '${orgName}': ${error.message}`);
       enhancedError.originalError = error;
@@ -295,7 +157,7 @@ class GitHubAPI {
   }
 
   /**
-   * Get all repositories with batched loading and caching
+   * Get all repositories, following pagination up to 2000 repos
    */
   async getAllRepositories(orgName) {
     // Check if we already have a complete list
@@ -306,65 +168,13 @@ class GitHubAPI {
       return cachedRepos.data;
     }
 
-    const allRepos = [];
-    let page = 1;
-
     try {
-      // Use Promise.all for parallel loading with a limit of 3 concurrent requests
-      const loadPages = async (startPage, count) => {
-        const pagePromises = [];
-        for (let p = startPage; p < startPage + count; p++) {
-          pagePromises.push(
-            this.fetchWithRateLimit(
-              `${this.baseUrl}/orgs/${orgName}/repos?page=${p}&per_page=100`
-            ).catch(error => {
-              // If we get an error (like a 404 on a page that doesn't exist),
-              // just return an empty array for that page
-              errorService.logError(`Failed to fetch page ${p} of repos`, {
-                error,
-                category: ErrorCategory.API,
-                severity: ErrorSeverity.WARNING,
-                context: { orgName, page: p }
-              });
-              return [];
-            })
-          );
-        }
-
-        return Promise.all(pagePromises);
-      };
-
-      // Load first 3 pages in parallel
-      const initialPages = await loadPages(1, 3);
-
-      // Process initial pages
-      initialPages.forEach(repos => {
-        if (repos.length > 0) {
-          allRepos.push(...repos.filter(repo => !repo.archived));
-        }
-      });
-
-      // Determine if we need to fetch more pages
-      page = 4;
-      let hasMoreData = initialPages[2] && initialPages[2].length > 0;
-
-      // Fetch additional pages as needed (3 at a time)
-      while (hasMoreData) {
-        const nextPages = await loadPages(page, 3);
-        hasMoreData = false;
-
-        nextPages.forEach(repos => {
-          if (repos.length > 0) {
-            allRepos.push(...repos.filter(repo => !repo.archived));
-            hasMoreData = true;
-          }
-        });
-
-        page += 3;
-
-        // Safety check - don't go beyond 20 pages (2000 repos)
-        if (page > 20) break;
-      }
+      const repos = await this.client.fetchAllPages(
+        `/orgs/${orgName}/repos`,
+        { priority: RequestPriority.HIGH },
+        { maxPages: 20 } // Safety cap - 2000 repos
+      );
+      const allRepos = repos.filter(repo => !repo.archived);
 
       // Cache the complete list
       cacheService.set('REPOS', cacheKey, allRepos);
@@ -377,139 +187,402 @@ class GitHubAPI {
   }
 
   /**
-   * Get open pull requests with parallel loading and caching
+   * Get open pull requests, preferring a single paginated GraphQL query and
+   * falling back to the per-repository REST fan-out if GraphQL fails
+   * @param {string} orgName - Organization name
+   * @param {Object} handlers - Optional progress callbacks
+   * @param {Function} handlers.onPullRequests - Called with each batch of new PR rows as soon as it is known.
+   *   Rows from the REST path are partial (`isPartial`, `pending.reviews`, `pending.user`)
+   *   and wait for their CI state (`pending.checks`), GraphQL rows come with it
+   * @param {Function} handlers.onPullRequestUpdate - Called with a PR row whenever pending details resolve
+   * @returns {Promise<Array>} All open pull requests with full details
    */
-  async getOpenPullRequests(orgName) {
+  async getOpenPullRequests(orgName, handlers = {}) {
     // Check if we have cached data
+    await cacheService.ready;
     const cacheKey = `open-prs-${orgName}`;
-    const cachedPRs = cacheService.get('PR', cacheKey);
+    const cachedPRs = cacheService.get('PR', cacheKey, { allowStale: true });
 
     if (cachedPRs) {
+      // Serve stale data right away, subscribers get notified once fresh data lands
+      if (cachedPRs.isStale) {
+        this.revalidateOpenPullRequests(orgName);
+      }
+      handlers.onPullRequests?.(cachedPRs.data);
       return cachedPRs.data;
     }
 
+    return this.fetchOpenPullRequests(orgName, handlers);
+  }
+
+  /**
+   * Refetch the open pull requests in the background. Subscribers of the
+   * `open-prs-<org>` PR cache entry are notified when the fresh list is stored.
+   */
+  revalidateOpenPullRequests(orgName) {
+    return cacheService.revalidate('PR', `open-prs-${orgName}`, () => this.fetchOpenPullRequests(orgName));
+  }
+
+  /**
+   * Fetch and cache open pull requests, bypassing the cached list
+   */
+  async fetchOpenPullRequests(orgName, handlers = {}) {
+    const cacheKey = `open-prs-${orgName}`;
+    let pullRequests;
     try {
-      // Get all repositories first
-      const repos = await this.getAllRepositories(orgName);
-      const pullRequests = [];
-
-      // Batch process repositories (8 at a time to avoid overloading the API)
-      const batchSize = 8;
-
-      for (let i = 0; i < repos.length; i += batchSize) {
-        const batch = repos.slice(i, i + batchSize);
-
-        // Process this batch in parallel
-        const batchResults = await Promise.all(
-          batch.map(async (repo) => {
-            try {
-              const prs = await this.fetchWithRateLimit(
-                `${this.baseUrl}/repos/${orgName}/${repo.name}/pulls?state=open`
-              );
-
-              // Process PRs for this repo and get additional data where needed
-              const processedPRs = await this.processPullRequests(orgName, repo.name, prs);
-              return processedPRs;
-            } catch (repoError) {
-              // Log error but continue with other repositories
-              errorService.logError(`Error fetching PRs from ${repo.name}`, {
-                error: repoError,
-                category: ErrorCategory.API,
-                severity: ErrorSeverity.WARNING,
-                context: {
-                  orgName,
-                  repoName: repo.name
+      pullRequests = await this.getOpenPullRequestsGraphQL(orgName, handlers);
+    } catch (graphqlError) {
+      // A cancelled load must not fall back to the REST fan-out
+      if (isAbortError(graphqlError)) {
+        throw graphqlError;
+      }
+      errorService.logError('GraphQL pull request query failed, falling back to REST', {
+        error: graphqlError,
+        category: ErrorCategory.API,
+        severity: ErrorSeverity.WARNING,
+        context: { orgName }
+      });
+      pullRequests = await this.getOpenPullRequestsREST(orgName, handlers);
+    }
+
+    // Cache the results
+    cacheService.set('PR', cacheKey, pullRequests);
+    return pullRequests;
+  }
+
+  /**
+   * Get open pull requests of an organization through the GraphQL search API,
+   * 100 PRs per request including reviews, labels, author names and the CI state of the head commit
+   */
+  async getOpenPullRequestsGraphQL(orgName, handlers = {}) {
+    const query = `
+      query OpenPullRequests($searchQuery: String!, $cursor: String) {
+        search(query: $searchQuery, type: ISSUE, first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            ... on PullRequest {
+              number
+              title
+              url
+              headRefOid
+              createdAt
+              updatedAt
+              isDraft
+              repository { name }
+              author {
+                login
+                ... on User { name }
+              }
+              labels(first: 20) {
+                nodes { name color }
+              }
+              assignees(first: 10) {
+                nodes { login }
+              }
+              reviewRequests(first: 20) {
+                nodes {
+                  requestedReviewer {
+                    ... on User { login }
+                    ... on Team { slug }
+                  }
                 }
-              });
-              return [];
+              }
+              reviews(first: 100) {
+                nodes {
+                  state
+                  submittedAt
+                  author {
+                    login
+                    ... on User { databaseId }
+                    ... on Bot { databaseId }
+                  }
+                }
+              }
+              commits(last: 1) {
+                nodes {
+                  commit {
+                    statusCheckRollup {
+                      contexts(first: 100) {
+                        nodes {
+                          ... on CheckRun { name status conclusion }
+                          ... on StatusContext { context state }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
             }
-          })
-        );
-
-        // Add all PRs from this batch to our results
-        batchResults.forEach(repoPRs => {
-          pullRequests.push(...repoPRs);
-        });
+          }
+        }
       }
+    `;
 
-      // Cache the results
-      cacheService.set('PR', cacheKey, pullRequests);
-      return pullRequests;
-    } catch (error) {
-      const enhancedError = new Error(`Failed to fetch pull requests: ${error.message}`);
-      enhancedError.originalError = error;
-      throw enhancedError;
+    const pullRequests = [];
+    const searchQuery = `org:${orgName} is:pr is:open archived:false`;
+    let cursor = null;
+    let page = 0;
+
+    do {
+      const data = await this.client.graphql(query, { searchQuery, cursor });
+      const { nodes, pageInfo } = data.search;
+
+      const pagePRs = nodes.filter(Boolean).map(node => this.normalizeGraphQLPullRequest(node, orgName));
+      pullRequests.push(...pagePRs);
+      handlers.onPullRequests?.(pagePRs);
+
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+      page++;
+    } while (cursor && page < MAX_SEARCH_PAGES);
+
+    if (cursor) {
+      errorService.logError(`Stopped loading pull requests of ${orgName} after ${MAX_SEARCH_PAGES} pages, the list is incomplete`, {
+        category: ErrorCategory.API,
+        severity: ErrorSeverity.WARNING,
+        context: { orgName, maxPages: MAX_SEARCH_PAGES, itemCount: pullRequests.length }
+      });
     }
+
+    return pullRequests;
   }
 
   /**
-   * Process pull requests with details and reviews
+   * Convert a GraphQL pull request node into the shape produced by processPullRequests
+   * @param {Object} node - Pull request node of the search query
+   * @param {string} orgName - Organization the PR was searched in
    */
-  async processPullRequests(orgName, repoName, prs) {
-    const processedPRs = [];
+  normalizeGraphQLPullRequest(node, orgName) {
+    // Deleted accounts come back without an author
+    const author = node.author || { login: 'ghost' };
+    const reviews = (node.reviews?.nodes || []).map(review => ({
+      state: review.state,
+      user: {
+        id: review.author?.databaseId || review.author?.login || 'ghost',
+        login: review.author?.login || 'ghost'
+      },
+      submitted_at: review.submittedAt
+    }));
+
+    return {
+      number: node.number,
+      title: node.title,
+      html_url: node.url,
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      repoName: node.repository.name,
+      orgName,
+      user: {
+        login: author.login,
+        name: author.name || author.login
+      },
+      labels: (node.labels?.nodes || []).map(label => ({
+        name: label.name,
+        color: label.color
+      })),
+      ...this.getReviewRequests(
+        (node.reviewRequests?.nodes || []).map(request => request.requestedReviewer).filter(Boolean)
+      ),
+      assignees: (node.assignees?.nodes || []).map(assignee => assignee.login),
+      reviewState: this.determineReviewState(reviews),
+      isDraft: node.isDraft,
+      reviews,
+      headSha: node.headRefOid,
+      checks: this.normalizeCheckRollup(node.commits?.nodes?.[0]?.commit?.statusCheckRollup)
+    };
+  }
 
-    // Process PRs in batches of 4 to limit concurrent requests
-    const batchSize = 4;
+  /**
+   * Convert the status check rollup of a head commit into the CI state of GitHubActionsAPI.getCommitChecks
+   * @param {Object|null} rollup - `statusCheckRollup` of the commit, null if it has no checks
+   */
+  normalizeCheckRollup(rollup) {
+    const contexts = (rollup?.contexts?.nodes || []).filter(Boolean);
+    // GraphQL enums are upper case; an expected status has not been reported yet
+    const statuses = contexts.filter(context => context.context).map(context => ({
+      context: context.context,
+      state: context.state === 'EXPECTED' ? 'pending' : context.state.toLowerCase()
+    }));
+    const checkRuns = contexts.filter(context => context.name).map(run => ({
+      name: run.name,
+      status: run.status.toLowerCase(),
+      conclusion: run.conclusion?.toLowerCase() || null
+    }));
+
+    return this.actions.summarizeChecks(statuses, checkRuns);
+  }
 
-    for (let i = 0; i < prs.length; i += batchSize) {
-      const batch = prs.slice(i, i + batchSize);
+  /**
+   * Split requested reviewers into user logins and team slugs
+   * @param {Array} reviewers - Users (with `login`) and teams (with `slug`)
+   * @returns {{requestedReviewers: Array<string>, requestedTeams: Array<string>}}
+   */
+  getReviewRequests(reviewers) {
+    return {
+      requestedReviewers: reviewers.filter(reviewer => reviewer.login).map(reviewer => reviewer.login),
+      requestedTeams: reviewers.filter(reviewer => reviewer.slug).map(reviewer => reviewer.slug)
+    };
+  }
 
-      // Process this batch in parallel
-      const batchResults = await Promise.all(
-        batch.map(async (pr) => {
+  /**
+   * Get open pull requests with per-repository REST requests.
+   * Basic rows are reported through `handlers.onPullRequests` as soon as a
+   * repository's /pulls response arrives, reviews and author names follow
+   * through `handlers.onPullRequestUpdate`.
+   */
+  async getOpenPullRequestsREST(orgName, handlers = {}) {
+    try {
+      // Get all repositories first
+      const repos = await this.getAllRepositories(orgName);
+
+      // Fan out over all repositories, the request scheduler limits concurrency
+      const repoResults = await Promise.all(
+        repos.map(async (repo) => {
           try {
-            // Get reviews and user details in parallel
-            const [reviews, userDetails] = await Promise.all([
-              this.getPullRequestReviews(orgName, repoName, pr.number),
-              this.getUserDetails(pr.user.login)
-            ]);
-
-            const reviewState = this.determineReviewState(reviews);
-
-            return {
-              number: pr.number,
-              title: pr.title,
-              html_url: pr.html_url,
-              created_at: pr.created_at,
-              updated_at: pr.updated_at,
-              repoName: repoName,
-              user: userDetails,
-              labels: pr.labels.map(label => ({
-                name: label.name,
-                color: label.color
-              })),
-              reviewState,
-              isDraft: pr.draft,
-              reviews: reviews.map(review => ({
-                state: review.state,
-                user: { id: review.user.id },
-                submitted_at: review.submitted_at
-              }))
-            };
-          } catch (prError) {
-            // Log the error but continue processing other PRs
-            errorService.logError(`Error processing PR #${pr.number} in ${repoName}`, {
-              error: prError,
+            const prs = await this.client.fetchAllPages(
+              `/repos/${orgName}/${repo.name}/pulls?state=open`,
+              { priority: RequestPriority.HIGH }
+            );
+
+            // Process PRs for this repo and get additional data where needed
+            return await this.processPullRequests(orgName, repo.name, prs, handlers);
+          } catch (repoError) {
+            if (isAbortError(repoError)) {
+              throw repoError;
+            }
+
+            // Log error but continue with other repositories
+            errorService.logError(`Error fetching PRs from ${repo.name}`, {
+              error: repoError,
               category: ErrorCategory.API,
               severity: ErrorSeverity.WARNING,
               context: {
                 orgName,
-                repoName,
-                prNumber: pr.number
+                repoName: repo.name
               }
             });
-            return null;
+            return [];
           }
         })
       );
 
-      // Add successful results to our processed PRs
-      batchResults.filter(Boolean).forEach(pr => {
-        processedPRs.push(pr);
-      });
+      const pullRequests = repoResults.flat();
+
+      return pullRequests;
+    } catch (error) {
+      const enhancedError = new Error(`Failed to fetch pull requests: ${error.message}`);
+      enhancedError.originalError = error;
+      throw enhancedError;
     }
+  }
 
-    return processedPRs;
+  /**
+   * Build a partial PR row from a /pulls response item, without reviews or author name
+   */
+  createBasicPullRequest(orgName, repoName, pr) {
+    return {
+      number: pr.number,
+      title: pr.title,
+      html_url: pr.html_url,
+      created_at: pr.created_at,
+      updated_at: pr.updated_at,
+      repoName: repoName,
+      orgName,
+      user: { login: pr.user.login, name: pr.user.login },
+      labels: pr.labels.map(label => ({
+        name: label.name,
+        color: label.color
+      })),
+      ...this.getReviewRequests([...(pr.requested_reviewers || []), ...(pr.requested_teams || [])]),
+      assignees: (pr.assignees || []).map(assignee => assignee.login),
+      reviewState: null,
+      isDraft: pr.draft,
+      reviews: [],
+      headSha: pr.head.sha,
+      checks: null,
+      isPartial: true,
+      pending: { reviews: true, user: true, checks: true }
+    };
+  }
+
+  /**
+   * Mark one pending detail of a partial PR row as loaded
+   */
+  resolvePendingDetail(pr, detail) {
+    pr.pending[detail] = false;
+    if (Object.values(pr.pending).every(isPending => !isPending)) {
+      delete pr.pending;
+      delete pr.isPartial;
+    }
+  }
+
+  /**
+   * Attach the CI state of the head commit to a PR row, see GitHubActionsAPI.getCommitChecks
+   */
+  async loadCheckStatus(orgName, pr, handlers = {}) {
+    pr.checks = await this.actions.getCommitChecks(orgName, pr.repoName, pr.headSha);
+    this.resolvePendingDetail(pr, 'checks');
+    handlers.onPullRequestUpdate?.(pr);
+  }
+
+  /**
+   * Process pull requests with details and reviews
+   * @param {string} orgName - Organization name
+   * @param {string} repoName - Repository name
+   * @param {Array} prs - Items of the /pulls response
+   * @param {Object} handlers - Optional progress callbacks, see getOpenPullRequests
+   */
+  async processPullRequests(orgName, repoName, prs, handlers = {}) {
+    const basicPRs = prs.map(pr => this.createBasicPullRequest(orgName, repoName, pr));
+    if (basicPRs.length) {
+      handlers.onPullRequests?.(basicPRs);
+    }
+
+    // Get reviews and user details of every PR, reporting each as it lands
+    const processedPRs = await Promise.all(
+      basicPRs.map(async (pr) => {
+        try {
+          await Promise.all([
+            this.getPullRequestReviews(orgName, repoName, pr.number).then(reviews => {
+              pr.reviews = reviews.map(review => ({
+                state: review.state,
+                user: { id: review.user.id, login: review.user.login },
+                submitted_at: review.submitted_at
+              }));
+              pr.reviewState = this.determineReviewState(reviews);
+              this.resolvePendingDetail(pr, 'reviews');
+              handlers.onPullRequestUpdate?.(pr);
+            }),
+            this.getUserDetails(pr.user.login).then(userDetails => {
+              pr.user = userDetails;
+              this.resolvePendingDetail(pr, 'user');
+              handlers.onPullRequestUpdate?.(pr);
+            }),
+            this.loadCheckStatus(orgName, pr, handlers)
+          ]);
+
+          return pr;
+        } catch (prError) {
+          if (isAbortError(prError)) {
+            throw prError;
+          }
+
+          // Log the error but continue processing other PRs
+          errorService.logError(`Error processing PR #${pr.number} in ${repoName}`, {
+            error: prError,
+            category: ErrorCategory.API,
+            severity: ErrorSeverity.WARNING,
+            context: {
+              orgName,
+              repoName,
+              prNumber: pr.number
+            }
+          });
+          return null;
+        }
+      })
+    );
+
+    return processedPRs.filter(Boolean);
   }
 
   /**
@@ -525,14 +598,18 @@ class GitHubAPI {
     }
 
     try {
-      const reviews = await this.fetchWithRateLimit(
-        `${this.baseUrl}/repos/${orgName}/${repoName}/pulls/${prNumber}/reviews`
+      const reviews = await this.client.fetchAllPages(
+        `/repos/${orgName}/${repoName}/pulls/${prNumber}/reviews`
       );
 
       // Cache the results but with a shorter expiry (reviews change more frequently)
       cacheService.set('PR', cacheKey, reviews, 30); // 30 minute cache for reviews
       return reviews;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
       // Log error but don't block the process - just return empty reviews
       errorService.logError(`Failed to fetch PR reviews for ${repoName}#${prNumber}`, {
         error,
@@ -0,0 +1,495 @@
+/**
+ * HTTP client for the GitHub REST and GraphQL APIs
+ *
+ * Shared by every API class (githubApi.js, actionsApi.js) so that new
+ * dashboards get the same request behavior:
+ * - Auth headers and base URL (request paths may be relative to the API root)
+ * - Response caching with stale-while-revalidate (see CacheService.js)
+ * - Conditional requests with ETag / Last-Modified
+ * - Pagination through the Link header (see paginator.js)
+ * - Retries with backoff and a shared circuit breaker (see retryPolicy.js)
+ * - Rate limit tracking and warning events
+ * - Concurrency, priorities, cancellation and de-duplication (see requestScheduler.js)
+ * - Error parsing and reporting through the ErrorService
+ */
+
+import errorService, { ErrorCategory, ErrorSeverity } from './ErrorService.js';
+import cacheService from './CacheService.js';
+import { paginate } from './paginator.js';
+import {
+  RETRYABLE_STATUSES,
+  getBackoffDelay,
+  getSecondaryRateLimitDelay,
+  githubCircuitBreaker,
+  sleep
+} from './retryPolicy.js';
+import requestScheduler, { RequestPriority } from './requestScheduler.js';
+
+export const GITHUB_API_URL = 'https://api.github.com';
+
+export class GitHubClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.token - GitHub personal access token
+   * @param {string} options.baseUrl - API root, defaults to api.github.com
+   * @param {string} options.cacheType - Cache all responses under this type instead of deriving it from the URL
+   * @param {number} options.rateLimitWarningThreshold - Warn when fewer calls than this remain
+   * @param {number} options.maxRetries - Retries for 5xx responses, network failures and secondary rate limits
+   * @param {number} options.maxRetryAfterMs - Give up instead of waiting longer than this for `Retry-After`
+   * @param {CircuitBreaker} options.circuitBreaker - Breaker to report failures to, shared by default
+   */
+  constructor(options = {}) {
+    const {
+      token,
+      baseUrl = GITHUB_API_URL,
+      cacheType = null,
+      rateLimitWarningThreshold = 100,
+      maxRetries = 3,
+      maxRetryAfterMs = 2 * 60 * 1000,
+      circuitBreaker = githubCircuitBreaker
+    } = options;
+
+    this.token = token;
+    this.baseUrl = baseUrl;
+    this.cacheType = cacheType;
+    this.rateLimitWarningThreshold = rateLimitWarningThreshold;
+    this.rateLimit = null; // Last seen { remaining, resetTime }
+    this.rateLimitListeners = new Set();
+    this.maxRetries = maxRetries;
+    this.maxRetryAfterMs = maxRetryAfterMs;
+    this.circuitBreaker = circuitBreaker;
+  }
+
+  /**
+   * Listen for the remaining rate limit dropping below the warning threshold
+   * @param {Function} listener - Called with { remaining, resetTime, resetTimeMs }
+   * @returns {Function} Unsubscribe function
+   */
+  onRateLimitWarning(listener) {
+    this.rateLimitListeners.add(listener);
+    return () => this.rateLimitListeners.delete(listener);
+  }
+
+  /**
+   * Prefix paths relative to the API root with the base URL
+   */
+  resolveUrl(url) {
+    return url.startsWith('/') ? `${this.baseUrl}${url}` : url;
+  }
+
+  /**
+   * GET a URL with caching and rate limit handling.
+   * Stale cache entries are returned immediately and refetched in the background.
+   * Pass `revalidate: true` to skip fresh cache entries and ask GitHub with a conditional request.
+   * @param {string} url - Absolute URL or path relative to the API root
+   * @param {Object} options - Fetch options, plus `revalidate` and `priority` (see RequestPriority)
+   * @returns {Promise<*>} Parsed response body
+   */
+  async request(url, options = {}) {
+    const { revalidate = false, priority = RequestPriority.NORMAL, ...fetchOptions } = options;
+    const requestUrl = this.resolveUrl(url);
+    const cacheKey = this.generateCacheKey(requestUrl, fetchOptions);
+    const cacheType = this.determineCacheType(requestUrl);
+
+    // Wait for persisted entries to be restored, then try the cache first
+    await cacheService.ready;
+    const cachedData = revalidate ? null : cacheService.get(cacheType, cacheKey, { allowStale: true });
+    if (cachedData) {
+      if (cachedData.isStale) {
+        cacheService.revalidate(cacheType, cacheKey,
+          () => this.scheduleRequest(requestUrl, fetchOptions, cacheType, cacheKey, RequestPriority.LOW));
+      }
+      return cachedData.data;
+    }
+
+    return this.scheduleRequest(requestUrl, fetchOptions, cacheType, cacheKey, priority);
+  }
+
+  /**
+   * Queue a network request on the shared scheduler; identical requests in flight are shared
+   */
+  scheduleRequest(url, options, cacheType, cacheKey, priority) {
+    return requestScheduler.schedule(
+      signal => this.requestAndCache(url, { ...options, signal }, cacheType, cacheKey),
+      { priority, key: `${cacheType}:${cacheKey}` }
+    );
+  }
+
+  /**
+   * Request a URL and store the response in the cache.
+   * Expired cache entries are revalidated with a conditional request; a
+   * `304 Not Modified` reuses the stored body and does not count against the rate limit.
+   */
+  async requestAndCache(url, options, cacheType, cacheKey) {
+    const expiredEntry = cacheService.peek(cacheType, cacheKey);
+
+    try {
+      const response = await this.fetchWithRetry(url, {
+        ...options,
+        headers: {
+          'Authorization': `token ${this.token}`,
+          'Accept': 'application/vnd.github.v3+json',
+          ...this.getConditionalHeaders(expiredEntry),
+          ...options.headers
+        }
+      });
+
+      this.handleRateLimits(response, url);
+
+      if (response.status === 304 && expiredEntry) {
+        cacheService.renew(cacheType, cacheKey);
+        return expiredEntry.data;
+      }
+
+      if (!response.ok) {
+        await this.handleErrorResponse(response, url, options);
+      }
+
+      const data = await response.json();
+
+      // Keep the validators for revalidation and the Link header for pagination
+      cacheService.set(cacheType, cacheKey, data, undefined, this.getResponseMeta(response));
+
+      return data;
+    } catch (error) {
+      this.logNetworkError(error, url);
+      throw error;
+    }
+  }
+
+  /**
+   * GET a plain text resource such as a job log. Not cached, logs can be megabytes;
+   * cache what is derived from them instead.
+   * @param {string} url - Absolute URL or path relative to the API root
+   * @param {Object} options - Fetch options, plus `priority` (see RequestPriority)
+   * @returns {Promise<string>} Response body
+   */
+  async requestText(url, options = {}) {
+    const { priority = RequestPriority.NORMAL, ...fetchOptions } = options;
+    const requestUrl = this.resolveUrl(url);
+
+    try {
+      const response = await requestScheduler.schedule(signal => this.fetchWithRetry(requestUrl, {
+        ...fetchOptions,
+        headers: {
+          'Authorization': `token ${this.token}`,
+          ...fetchOptions.headers
+        },
+        signal
+      }), { priority });
+
+      this.handleRateLimits(response, requestUrl);
+
+      if (!response.ok) {
+        await this.handleErrorResponse(response, requestUrl, fetchOptions);
+      }
+
+      return await response.text();
+    } catch (error) {
+      this.logNetworkError(error, requestUrl);
+      throw error;
+    }
+  }
+
+  /**
+   * `fetch` with retries: jittered exponential backoff for 5xx responses and
+   * network failures, `Retry-After` for secondary rate limits. The last
+   * response is returned as is so the caller's error handling still applies.
+   */
+  async fetchWithRetry(url, init) {
+    if (!this.circuitBreaker.canRequest()) {
+      const error = new Error(`GitHub API requests paused after repeated failures, retrying in ${Math.ceil(this.circuitBreaker.getRetryIn() / 1000)}s`);
+      error.circuitOpen = true;
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          this.circuitBreaker.cancelTrial();
+          throw error;
+        }
+        if (attempt >= this.maxRetries) {
+          this.circuitBreaker.recordFailure();
+          throw error;
+        }
+        await sleep(getBackoffDelay(attempt), init.signal);
+        continue;
+      }
+
+      const retryAfterMs = await getSecondaryRateLimitDelay(response);
+      if (retryAfterMs !== null) {
+        if (attempt >= this.maxRetries || retryAfterMs > this.maxRetryAfterMs) {
+          return response;
+        }
+        errorService.logError(`GitHub secondary rate limit hit, retrying in ${Math.ceil(retryAfterMs / 1000)}s`, {
+          category: ErrorCategory.RATE_LIMIT,
+          severity: ErrorSeverity.WARNING,
+          context: { endpoint: url, status: response.status, attempt: attempt + 1 }
+        });
+        await sleep(retryAfterMs, init.signal);
+        continue;
+      }
+
+      if (RETRYABLE_STATUSES.has(response.status)) {
+        if (attempt >= this.maxRetries) {
+          this.circuitBreaker.recordFailure();
+          return response;
+        }
+        await sleep(getBackoffDelay(attempt), init.signal);
+        continue;
+      }
+
+      this.circuitBreaker.recordSuccess();
+      return response;
+    }
+  }
+
+  /**
+   * Fetch every page of a list endpoint, following the Link `rel="next"` header.
+   * Each page is cached on its own, so its Link header is read back from the cache entry.
+   * @param {string} url - URL of the first page
+   * @param {Object} options - Fetch options, including `revalidate`
+   * @param {Object} paginateOptions - Paginator options (maxPages, getItems), see paginator.js
+   * @returns {Promise<Array>} Items of all pages
+   */
+  async fetchAllPages(url, options = {}, paginateOptions = {}) {
+    const fetchPage = async (pageUrl) => {
+      const data = await this.request(pageUrl, options);
+      const entry = cacheService.peek(this.determineCacheType(pageUrl), this.generateCacheKey(pageUrl, options));
+      return { data, link: entry?.link || null };
+    };
+
+    return paginate(fetchPage, this.resolveUrl(url), paginateOptions);
+  }
+
+  /**
+   * Run a GraphQL (v4) query. Responses are not cached here, callers cache
+   * the normalized result instead. GraphQL reports most failures with a 200
+   * status and an `errors` array, which is turned into a thrown error as well.
+   */
+  async graphql(query, variables = {}) {
+    const url = `${this.baseUrl}/graphql`;
+
+    try {
+      const response = await requestScheduler.schedule(signal => this.fetchWithRetry(url, {
+        method: 'POST',
+        body: JSON.stringify({ query, variables }),
+        headers: {
+          'Authorization': `bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        },
+        signal
+      }), { priority: RequestPriority.HIGH });
+
+      this.handleRateLimits(response, url);
+
+      if (!response.ok) {
+        await this.handleErrorResponse(response, url, { variables });
+      }
+
+      const result = await response.json();
+
+      if (result.errors?.length) {
+        const error = new Error(`GitHub GraphQL Error: ${result.errors.map(e => e.message).join('; ')}`);
+        error.graphqlErrors = result.errors;
+        error.status = response.status;
+        throw error;
+      }
+
+      return result.data;
+    } catch (error) {
+      this.logNetworkError(error, url);
+      throw error;
+    }
+  }
+
+  /**
+   * Build If-None-Match / If-Modified-Since headers from a cache entry
+   */
+  getConditionalHeaders(cacheEntry) {
+    const headers = {};
+    if (cacheEntry?.etag) {
+      headers['If-None-Match'] = cacheEntry.etag;
+    } else if (cacheEntry?.lastModified) {
+      headers['If-Modified-Since'] = cacheEntry.lastModified;
+    }
+    return headers;
+  }
+
+  /**
+   * Read the ETag / Last-Modified validators and the pagination Link of a response
+   */
+  getResponseMeta(response) {
+    return {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      link: response.headers.get('link')
+    };
+  }
+
+  /**
+   * Generate a consistent cache key
+   */
+  generateCacheKey(url, options = {}) {
+    // Include body in cache key if it's a POST/PUT request
+    let bodyKey = '';
+    if (options.method && ['POST', 'PUT', 'PATCH'].includes(options.method.toUpperCase()) && options.body) {
+      try {
+        // If it's JSON, we can use it directly
+        if (typeof options.body === 'string') {
+          bodyKey = `-${options.body}`;
+        } else {
+          bodyKey = `-${JSON.stringify(options.body)}`;
+        }
+      } catch {
+        // If we can't stringify it, use a simple hash
+        bodyKey = `-body-${options.body.length || 0}`;
+      }
+    }
+
+    // Create a key that uniquely identifies this request
+    return `${url}${bodyKey}`;
+  }
+
+  /**
+   * Determine the appropriate cache type based on the URL
+   */
+  determineCacheType(url) {
+    if (this.cacheType) {
+      return this.cacheType;
+    }
+
+    if (url.includes('/pulls') || url.includes('/pull/')) {
+      return 'PR';
+    } else if (url.includes('/actions/')) {
+      return 'ACTIONS';
+    } else if (url.includes('/repos/')) {
+      return 'REPOS';
+    } else if (url.includes('/orgs/')) {
+      return 'ORG';
+    } else if (url.includes('/users/') || /\/user(\/|\?|$)/.test(url)) {
+      return 'USER';
+    } else {
+      // Default for any other endpoints
+      return 'REPOS';
+    }
+  }
+
+  /**
+   * Record the rate limit headers, warn when running low and throw once it is exhausted
+   */
+  handleRateLimits(response, url) {
+    if (!response.headers.has('x-ratelimit-remaining')) {
+      return;
+    }
+
+    const remaining = parseInt(response.headers.get('x-ratelimit-remaining'));
+    const resetTime = parseInt(response.headers.get('x-ratelimit-reset') || '0') * 1000;
+    this.rateLimit = { remaining, resetTime };
+
+    if (remaining < this.rateLimitWarningThreshold) {
+      // Log rate limit warning through ErrorService
+      errorService.logError(`GitHub API Rate Limit Warning: ${remaining} calls remaining until ${new Date(resetTime)}`, {
+        category: ErrorCategory.RATE_LIMIT,
+        severity: ErrorSeverity.WARNING,
+        context: {
+          remaining,
+          resetTime: new Date(resetTime),
+          endpoint: url
+        }
+      });
+
+      this.notifyRateLimitWarning({
+        remaining,
+        resetTime: new Date(resetTime),
+        resetTimeMs: resetTime - Date.now()
+      });
+
+      // Adjust cache durations based on rate limit status
+      // If we're low on API calls, make the cache last longer
+      if (remaining < 50) {
+        const multiplier = remaining < 20 ? 3 : 2;
+        cacheService.setDefaultDuration('pr', cacheService.defaultDurations.pr * multiplier);
+        cacheService.setDefaultDuration('repo', cacheService.defaultDurations.repo * multiplier);
+      }
+    }
+
+    // Special handling for rate limit exceeded
+    if (!response.ok && response.status === 403 && remaining === 0) {
+      const resetDate = new Date(resetTime);
+      const error = new Error(`GitHub API Rate Limit exceeded. Resets at ${resetDate}`);
+      error.status = response.status;
+      error.resetTime = resetDate;
+
+      errorService.logError(`GitHub API Rate Limit exceeded. Resets at ${resetDate}`, {
+        category: ErrorCategory.RATE_LIMIT,
+        severity: ErrorSeverity.ERROR,
+        context: {
+          endpoint: url,
+          resetTime: resetDate,
+          status: response.status
+        }
+      });
+
+      throw error;
+    }
+  }
+
+  notifyRateLimitWarning(warning) {
+    this.rateLimitListeners.forEach(listener => {
+      try {
+        listener(warning);
+      } catch (e) {
+        console.error('Error in rate limit listener:', e);
+      }
+    });
+  }
+
+  /**
+   * Turn an error response into a thrown error with GitHub's message and documentation URL
+   */
+  async handleErrorResponse(response, url, options) {
+    const responseText = await response.text();
+    let responseData = {};
+    try {
+      responseData = JSON.parse(responseText);
+    } catch {
+      // Text wasn't JSON, use as is
+    }
+
+    // Build error message with documentation URL if available
+    let errorMessage = responseData.message || response.statusText || 'Unknown error';
+    if (responseData.documentation_url) {
+      errorMessage += ` (See: ${responseData.documentation_url})`;
+    }
+
+    const error = new Error(`GitHub API Error: ${errorMessage}`);
+    error.status = response.status;
+    error.response = responseData;
+    error.documentationUrl = responseData.documentation_url;
+
+    errorService.logApiError(error, url, options);
+
+    throw error;
+  }
+
+  /**
+   * Log fetch failures that never reached the API (errors from the API carry a status,
+   * open circuits and cancelled requests are not failures of their own)
+   */
+  logNetworkError(error, url) {
+    if (!error.status && !error.circuitOpen && error.name !== 'AbortError') {
+      errorService.logError(`Network Error: ${error.message}`, {
+        error,
+        category: ErrorCategory.NETWORK,
+        context: { endpoint: url }
+      });
+    }
+  }
+}
+
+export default GitHubClient;
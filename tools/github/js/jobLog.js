@@ -0,0 +1,132 @@
+/**
+ * Job log parsing
+ *
+ * Finds the section of a failed step in a GitHub Actions job log and pulls out
+ * the lines that explain the failure, using the output formats of common tools.
+ */
+
+// Lines kept in an excerpt, the last ones win
+export const MAX_EXCERPT_LINES = 30;
+
+// Lines around a matched error line that usually belong to the message
+const CONTEXT_BEFORE = 1;
+const CONTEXT_AFTER = 2;
+
+// Without a recognizable error, show the end of the section
+const FALLBACK_TAIL_LINES = 15;
+
+/**
+ * Error line patterns per tool; `npm test` output may match npm and jest at once
+ */
+const TOOL_PATTERNS = {
+  npm: [/^npm (ERR!|error)/],
+  jest: [/^\s*● /, /^FAIL\s/, /^Tests:.*\bfailed\b/],
+  eslint: [/^\s*\d+:\d+\s+error\s/, /^✖ \d+ problems?/],
+  tsc: [/error TS\d+:/],
+  docker: [/ERROR: failed to (solve|build)/, /^#\d+ ERROR:/, /^ERROR: /],
+  gradle: [/^FAILURE: Build failed/, /^> Task \S+ FAILED/, /^\* What went wrong:/, /^e: /]
+};
+
+const GENERIC_PATTERNS = [/^##\[error\]/, /^Error:/, /\bERROR\b/, /\berror\b.*:/i];
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d+)?Z ?/;
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Log lines without timestamps and terminal colors
+ * @param {string} log - Raw job log
+ * @returns {Array<string>}
+ */
+export function splitLogLines(log) {
+  return log.split(/\r?\n/).map(line => line.replace(TIMESTAMP_PATTERN, '').replace(ANSI_PATTERN, ''));
+}
+
+/**
+ * Lines of the step that failed
+ *
+ * Steps start with a `##[group]Run <name or command>` line. The section whose
+ * header matches the step name is used, otherwise the one containing the first
+ * `##[error]` line, otherwise the whole log.
+ * @param {Array<string>} lines - Lines from splitLogLines
+ * @param {string} stepName - Name of the failed step
+ * @returns {Array<string>}
+ */
+export function extractStepSection(lines, stepName = '') {
+  const starts = lines
+    .map((line, index) => (line.startsWith('##[group]Run ') ? index : -1))
+    .filter(index => index !== -1);
+  const sectionAt = start => lines.slice(start, starts.find(index => index > start) ?? lines.length);
+
+  const name = stepName.replace(/^Run /, '').toLowerCase();
+  const byName = name ? starts.find(index => lines[index].slice('##[group]Run '.length).toLowerCase().startsWith(name)) : undefined;
+  if (byName !== undefined) {
+    return sectionAt(byName);
+  }
+
+  const firstError = lines.findIndex(line => line.startsWith('##[error]'));
+  if (firstError !== -1) {
+    const start = [...starts].reverse().find(index => index < firstError);
+    return start === undefined ? lines.slice(0, firstError + 1) : sectionAt(start);
+  }
+
+  return lines;
+}
+
+/**
+ * Find the error lines of a step section
+ * @param {Array<string>} section - Lines of the failed step
+ * @returns {{tool: string|null, lines: Array<string>, truncated: boolean}}
+ *   `tool` is the tool with the most matched lines, null for generic or fallback lines
+ */
+export function extractErrorLines(section) {
+  const matchingIndexes = patterns => section
+    .map((line, index) => (patterns.some(pattern => pattern.test(line)) ? index : -1))
+    .filter(index => index !== -1);
+
+  let tool = null;
+  let matched = [];
+  let mostMatches = 0;
+  Object.entries(TOOL_PATTERNS).forEach(([name, patterns]) => {
+    const indexes = matchingIndexes(patterns);
+    matched.push(...indexes);
+    if (indexes.length > mostMatches) {
+      tool = name;
+      mostMatches = indexes.length;
+    }
+  });
+  if (!matched.length) {
+    matched = matchingIndexes(GENERIC_PATTERNS);
+  }
+
+  let lines;
+  if (matched.length) {
+    const kept = new Set();
+    matched.forEach(index => {
+      for (let i = Math.max(0, index - CONTEXT_BEFORE); i <= Math.min(section.length - 1, index + CONTEXT_AFTER); i++) {
+        kept.add(i);
+      }
+    });
+    lines = [...kept].sort((a, b) => a - b).map(index => section[index]);
+  } else {
+    lines = section.slice(-FALLBACK_TAIL_LINES);
+  }
+
+  // Group markers only structure the log
+  lines = lines.filter(line => !/^##\[(end)?group\]/.test(line) && line.trim());
+
+  return {
+    tool,
+    lines: lines.slice(-MAX_EXCERPT_LINES),
+    truncated: lines.length > MAX_EXCERPT_LINES
+  };
+}
+
+/**
+ * Error excerpt of a failed step
+ * @param {string} log - Raw job log
+ * @param {string} stepName - Name of the failed step
+ * @returns {{tool: string|null, lines: Array<string>, truncated: boolean}}
+ */
+export function getLogExcerpt(log, stepName) {
+  return extractErrorLines(extractStepSection(splitLogLines(log), stepName));
+}
@@ -0,0 +1,85 @@
+/**
+ * Pagination helpers for GitHub REST list endpoints
+ *
+ * GitHub pages list responses (30 items by default, at most 100) and links
+ * the following page through the `Link: <url>; rel="next"` header. The
+ * paginator follows those links until the last page or a safety cap.
+ */
+
+import errorService, { ErrorCategory, ErrorSeverity } from './ErrorService.js';
+
+export const MAX_PER_PAGE = 100;
+export const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Parse a Link header into its relations
+ * @param {string|null} header - Value of the Link header
+ * @returns {Object} URLs keyed by relation (next, prev, first, last)
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Set `per_page` on a URL unless it already has one
+ * @param {string} url - List endpoint URL
+ * @param {number} perPage - Page size
+ * @returns {string} URL with page size
+ */
+export function withPerPage(url, perPage = MAX_PER_PAGE) {
+  if (/[?&]per_page=/.test(url)) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}per_page=${perPage}`;
+}
+
+/**
+ * Fetch all pages of a list endpoint
+ * @param {Function} fetchPage - Async function returning `{ data, link }` for a URL
+ * @param {string} url - URL of the first page
+ * @param {Object} options - Paginator options
+ * @param {number} options.maxPages - Safety cap on the number of pages fetched
+ * @param {boolean} options.warnOnCap - Log a warning when the cap cuts the list short, off for intentional limits
+ * @param {Function} options.getItems - Extracts the item array from a page (e.g. `data => data.workflows`)
+ * @returns {Promise<Array>} Items of all fetched pages
+ */
+export async function paginate(fetchPage, url, options = {}) {
+  const {
+    maxPages = DEFAULT_MAX_PAGES,
+    warnOnCap = true,
+    getItems = data => data
+  } = options;
+
+  const items = [];
+  let nextUrl = withPerPage(url);
+  let page = 0;
+
+  while (nextUrl && page < maxPages) {
+    const { data, link } = await fetchPage(nextUrl);
+    items.push(...(getItems(data) || []));
+    nextUrl = parseLinkHeader(link).next || null;
+    page++;
+  }
+
+  if (nextUrl && warnOnCap) {
+    errorService.logError(`Stopped paginating after ${maxPages} pages`, {
+      category: ErrorCategory.API,
+      severity: ErrorSeverity.WARNING,
+      context: { endpoint: url, maxPages, itemCount: items.length }
+    });
+  }
+
+  return items;
+}
@@ -0,0 +1,77 @@
+/**
+ * Pull request timing metrics
+ *
+ * Age, time since last activity and time to first review of pull requests,
+ * checked against the stale and review SLA thresholds of the settings.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Format a duration compactly, e.g. "45m", "5h", "3d"
+ * @param {number} ms - Duration in milliseconds
+ */
+export function formatDuration(ms) {
+  if (ms < HOUR) {
+    return `${Math.max(1, Math.round(ms / 60000))}m`;
+  }
+  if (ms < DAY) {
+    return `${Math.round(ms / HOUR)}h`;
+  }
+  return `${Math.round(ms / DAY)}d`;
+}
+
+/**
+ * Median of a list of numbers, null for an empty list
+ */
+export function median(values) {
+  if (!values.length) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Submission time of the first review by someone other than the author
+ * @returns {Date|null}
+ */
+export function getFirstReviewAt(pr) {
+  const reviewTimes = pr.reviews
+    .filter(review => review.submitted_at && review.user.login !== pr.user.login)
+    .map(review => new Date(review.submitted_at));
+
+  return reviewTimes.length ? new Date(Math.min(...reviewTimes)) : null;
+}
+
+/**
+ * Timing of a pull request against the thresholds
+ * @param {Object} pr - Pull request row
+ * @param {{staleDays: number, reviewSlaHours: number}} thresholds
+ * @param {number} now - Reference time in ms
+ * @returns {Object} `ageMs`, `idleMs`, `firstReviewMs` (null until reviewed),
+ *   `waitingMs` (null once reviewed or while reviews load), `isStale`, `breachesSla`
+ */
+export function getPRTiming(pr, thresholds, now = Date.now()) {
+  const createdAt = new Date(pr.created_at).getTime();
+  const ageMs = now - createdAt;
+  const idleMs = now - new Date(pr.updated_at).getTime();
+
+  const reviewsLoaded = !pr.pending?.reviews;
+  const firstReviewAt = reviewsLoaded ? getFirstReviewAt(pr) : null;
+  const firstReviewMs = firstReviewAt ? firstReviewAt.getTime() - createdAt : null;
+  const waitingMs = reviewsLoaded && !firstReviewAt ? ageMs : null;
+
+  return {
+    ageMs,
+    idleMs,
+    firstReviewMs,
+    waitingMs,
+    isStale: idleMs > thresholds.staleDays * DAY,
+    // Drafts are not ready for review yet
+    breachesSla: !pr.isDraft && waitingMs !== null && waitingMs > thresholds.reviewSlaHours * HOUR
+  };
+}
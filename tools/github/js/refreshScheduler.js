@@ -0,0 +1,207 @@
+/**
+ * Automatic background refresh scheduler
+ *
+ * Shared by the PR and Actions dashboards:
+ * - Runs a refresh callback on a configurable interval
+ * - Pauses while the tab is hidden and refreshes once it becomes visible again
+ * - Leaves the refreshing to the leader tab when several tabs are open (see tabSync.js);
+ *   hidden tabs give up leadership, so a visible tab refreshes
+ * - Budgets against the GitHub rate limit: backs off when `x-ratelimit-remaining`
+ *   is low and waits for `x-ratelimit-reset` when it is nearly exhausted
+ */
+
+import tabSync from './tabSync.js';
+import errorService, { ErrorCategory, ErrorSeverity } from './ErrorService.js';
+import { isAbortError } from './requestScheduler.js';
+
+export const DEFAULT_REFRESH_MINUTES = 5;
+
+export class RefreshScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.refresh - Async function performing the refresh
+   * @param {Function} options.getRateLimit - Returns the last seen `{ remaining, resetTime }` or null
+   * @param {number} options.intervalMinutes - Refresh interval, 0 disables auto-refresh
+   * @param {number} options.lowRemaining - Below this many calls the interval is stretched
+   * @param {number} options.minRemaining - Below this many calls refreshing waits for the reset
+   * @param {Function} options.onStatusChange - Called with a short human readable status
+   */
+  constructor(options = {}) {
+    const {
+      refresh,
+      getRateLimit = () => null,
+      intervalMinutes = DEFAULT_REFRESH_MINUTES,
+      lowRemaining = 500,
+      minRemaining = 100,
+      onStatusChange = () => { }
+    } = options;
+
+    this.refresh = refresh;
+    this.getRateLimit = getRateLimit;
+    this.intervalMinutes = intervalMinutes;
+    this.lowRemaining = lowRemaining;
+    this.minRemaining = minRemaining;
+    this.onStatusChange = onStatusChange;
+
+    this.timer = null;
+    this.isRunning = false;
+    this.isRefreshing = false;
+    this.nextRunAt = null;
+    // A refresh came due while hidden, run it once leadership arrives
+    this.catchUpOnLeadership = false;
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleLeadershipChange = this.handleLeadershipChange.bind(this);
+  }
+
+  start() {
+    if (this.isRunning || !this.intervalMinutes) {
+      this.setStatus(this.intervalMinutes ? '' : 'Auto-refresh off');
+      return;
+    }
+
+    this.isRunning = true;
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.stopLeadershipListener = tabSync.onLeadershipChange(this.handleLeadershipChange);
+    this.scheduleNext(this.intervalMinutes * 60 * 1000);
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+    this.catchUpOnLeadership = false;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.stopLeadershipListener?.();
+  }
+
+  /**
+   * Change the interval; 0 disables auto-refresh
+   */
+  setInterval(minutes) {
+    this.intervalMinutes = minutes;
+    this.stop();
+    this.start();
+  }
+
+  scheduleNext(delayMs) {
+    clearTimeout(this.timer);
+    this.nextRunAt = Date.now() + delayMs;
+    this.timer = setTimeout(() => {
+      // By now the leader refreshed, whether or not a catch-up was pending
+      this.catchUpOnLeadership = false;
+      this.tick();
+    }, delayMs);
+    this.setStatus(`Auto-refresh at ${new Date(this.nextRunAt).toLocaleTimeString(navigator.language, { timeStyle: 'short' })}`);
+  }
+
+  handleVisibilityChange() {
+    // Catch up on a refresh that came due while the tab was hidden
+    if (!document.hidden && this.isRunning && this.nextRunAt === null) {
+      // Leadership is only requested once the tab is visible and granted asynchronously
+      this.catchUpOnLeadership = !tabSync.isLeader();
+      this.tick();
+    }
+  }
+
+  handleLeadershipChange(isLeader) {
+    if (isLeader && this.catchUpOnLeadership && !document.hidden) {
+      this.catchUpOnLeadership = false;
+      this.tick();
+    }
+  }
+
+  /**
+   * Work out how long to wait based on the remaining rate limit budget
+   * @returns {number} Extra delay in ms, 0 if refreshing may proceed now
+   */
+  getRateLimitDelay() {
+    const rateLimit = this.getRateLimit();
+    if (!rateLimit || rateLimit.remaining === undefined) {
+      return 0;
+    }
+
+    const msUntilReset = Math.max(0, rateLimit.resetTime - Date.now());
+    if (rateLimit.remaining < this.minRemaining && msUntilReset > 0) {
+      // Resume a few seconds after the window resets
+      return msUntilReset + 5000;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Stretch the interval while the budget is low
+   */
+  getIntervalMs() {
+    const intervalMs = this.intervalMinutes * 60 * 1000;
+    const rateLimit = this.getRateLimit();
+
+    if (rateLimit && rateLimit.remaining < this.lowRemaining) {
+      return intervalMs * 3;
+    }
+
+    return intervalMs;
+  }
+
+  async tick() {
+    if (!this.isRunning || this.isRefreshing) {
+      return;
+    }
+
+    // Hidden tabs wait for visibilitychange
+    if (document.hidden) {
+      this.nextRunAt = null;
+      this.setStatus('Auto-refresh paused (tab hidden)');
+      return;
+    }
+
+    // Another tab refreshes and shares its results through the cache
+    if (!tabSync.isLeader()) {
+      this.setStatus('Auto-refresh handled by another tab');
+      this.scheduleNext(this.getIntervalMs());
+      return;
+    }
+
+    const rateLimitDelay = this.getRateLimitDelay();
+    if (rateLimitDelay > 0) {
+      errorService.logError('Auto-refresh postponed until the rate limit resets', {
+        category: ErrorCategory.RATE_LIMIT,
+        severity: ErrorSeverity.INFO,
+        context: { delayMs: rateLimitDelay }
+      });
+      this.scheduleNext(rateLimitDelay);
+      this.setStatus('Auto-refresh paused until rate limit reset');
+      return;
+    }
+
+    this.isRefreshing = true;
+    try {
+      await this.refresh();
+    } catch (error) {
+      // Requests cancelled by a manual refresh are not failures
+      if (!isAbortError(error)) {
+        errorService.logError(`Auto-refresh failed: ${error.message}`, {
+          error,
+          category: ErrorCategory.API,
+          severity: ErrorSeverity.WARNING
+        });
+      }
+    } finally {
+      this.isRefreshing = false;
+    }
+
+    if (this.isRunning) {
+      this.scheduleNext(this.getIntervalMs());
+    }
+  }
+
+  setStatus(status) {
+    try {
+      this.onStatusChange(status);
+    } catch (e) {
+      console.error('Error in refresh status handler:', e);
+    }
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Central scheduler for GitHub API requests
+ *
+ * Every network request of the GitHubClient runs through the shared instance:
+ * - A global concurrency limit instead of per-call batching
+ * - Priority lanes: visible content first, details next, prefetching and
+ *   background revalidation last
+ * - Cancellation of everything queued or running when the user navigates
+ *   away or refreshes (AbortController)
+ * - De-duplication of identical requests that are already in flight
+ */
+
+export const RequestPriority = {
+  HIGH: 0,   // Content that is about to be rendered (PR lists, workflow lists)
+  NORMAL: 1, // Details attached to rendered rows (reviews, authors, jobs)
+  LOW: 2     // Prefetching and background revalidation
+};
+
+/**
+ * Whether an error comes from a cancelled request
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.originalError?.name === 'AbortError';
+}
+
+export class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.maxConcurrent - Requests running at the same time
+   */
+  constructor(options = {}) {
+    const { maxConcurrent = 6 } = options;
+
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.lanes = Object.values(RequestPriority).map(() => []);
+    this.inFlight = new Map();
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Signal of the current scope, aborted by cancelAll()
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Queue a task
+   * @param {Function} task - Async function called with an AbortSignal once a slot is free
+   * @param {Object} options - Scheduling options
+   * @param {number} options.priority - One of RequestPriority
+   * @param {string} options.key - Identical keys share a single in-flight task
+   * @returns {Promise<*>} Result of the task
+   */
+  schedule(task, options = {}) {
+    const { priority = RequestPriority.NORMAL, key = null } = options;
+
+    if (key && this.inFlight.has(key)) {
+      const existing = this.inFlight.get(key);
+      // A visible request must not wait behind prefetching of the same URL
+      this.promote(existing.job, priority);
+      return existing.promise;
+    }
+
+    const signal = this.signal;
+    const job = { task, priority, signal };
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    if (signal.aborted) {
+      job.reject(signal.reason);
+      return promise;
+    }
+
+    // Drop queued jobs right away when their scope is cancelled
+    job.onAbort = () => {
+      const lane = this.lanes[job.priority];
+      const index = lane.indexOf(job);
+      if (index !== -1) {
+        lane.splice(index, 1);
+        job.reject(signal.reason);
+      }
+    };
+    signal.addEventListener('abort', job.onAbort, { once: true });
+
+    if (key) {
+      this.inFlight.set(key, { job, promise });
+      const release = () => {
+        if (this.inFlight.get(key)?.promise === promise) {
+          this.inFlight.delete(key);
+        }
+      };
+      promise.then(release, release);
+    }
+
+    this.lanes[priority].push(job);
+    this.drain();
+
+    return promise;
+  }
+
+  /**
+   * Move a queued job to a more urgent lane
+   */
+  promote(job, priority) {
+    if (priority >= job.priority) {
+      return;
+    }
+
+    const index = this.lanes[job.priority].indexOf(job);
+    if (index !== -1) {
+      this.lanes[job.priority].splice(index, 1);
+      job.priority = priority;
+      this.lanes[priority].push(job);
+    }
+  }
+
+  drain() {
+    while (this.active < this.maxConcurrent) {
+      const job = this.lanes.find(lane => lane.length)?.shift();
+      if (!job) {
+        return;
+      }
+
+      this.active++;
+      job.signal.removeEventListener('abort', job.onAbort);
+
+      Promise.resolve()
+        .then(() => job.task(job.signal))
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Abort every queued and running request and start a new scope for the following ones
+   * @param {string} reason - Why the requests were cancelled, e.g. 'refresh' or 'navigation'
+   */
+  cancelAll(reason = 'cancelled') {
+    const controller = this.controller;
+    this.controller = new AbortController();
+    this.inFlight.clear();
+    controller.abort(new DOMException(`Request cancelled (${reason})`, 'AbortError'));
+  }
+
+  /**
+   * Number of queued requests, per lane
+   */
+  getQueueSizes() {
+    return Object.fromEntries(
+      Object.entries(RequestPriority).map(([name, priority]) => [name, this.lanes[priority].length])
+    );
+  }
+}
+
+// Shared by every GitHubClient so the limit applies to the whole dashboard
+const requestScheduler = new RequestScheduler();
+export default requestScheduler;
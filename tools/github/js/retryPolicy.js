@@ -0,0 +1,189 @@
+/**
+ * Retry and circuit breaker policy for GitHub API requests
+ *
+ * Used by the GitHubClient (see githubClient.js):
+ * - 5xx responses and network failures are retried with jittered exponential backoff
+ * - Secondary (abuse) rate limits on 403/429 are retried after `Retry-After`
+ * - A circuit breaker shared by all clients stops sending requests after
+ *   repeated failures and lets a single trial request through after a cooldown
+ */
+
+import errorService, { ErrorCategory, ErrorSeverity } from './ErrorService.js';
+
+export const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+
+export const CircuitState = {
+  CLOSED: 'closed',       // Requests flow normally
+  OPEN: 'open',           // Requests fail fast until the cooldown ends
+  HALF_OPEN: 'half-open'  // One trial request decides whether to close again
+};
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and base * 2^attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay of the first retry in ms
+ * @param {number} options.maxDelay - Upper bound for the delay in ms
+ */
+export function getBackoffDelay(attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Detect GitHub's secondary rate limit and work out how long to wait
+ * @param {Response} response - Fetch response
+ * @returns {Promise<number|null>} Delay in ms, or null if this is not a secondary rate limit
+ */
+export async function getSecondaryRateLimitDelay(response) {
+  if (response.status !== 403 && response.status !== 429) {
+    return null;
+  }
+
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  // Primary rate limit exhaustion is handled by handleRateLimits
+  if (response.headers.get('x-ratelimit-remaining') === '0') {
+    return null;
+  }
+
+  if (response.status === 429) {
+    return 60 * 1000;
+  }
+
+  // A 403 is only a secondary limit if GitHub says so, otherwise it is a permission error
+  const body = await response.clone().text().catch(() => '');
+  return /secondary rate limit|abuse/i.test(body) ? 60 * 1000 : null;
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open before a trial request
+   */
+  constructor(options = {}) {
+    const {
+      failureThreshold = 5,
+      cooldownMs = 30000
+    } = options;
+
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    // Start of the trial request of a half-open circuit, null while none is in flight
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Whether a request may be sent now. Moves an open circuit to half-open once the cooldown ended;
+   * a half-open circuit lets the first caller through as the trial request and holds back the others.
+   */
+  canRequest() {
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.setState(CircuitState.HALF_OPEN);
+    }
+    if (this.state === CircuitState.OPEN) {
+      return false;
+    }
+    if (this.state === CircuitState.HALF_OPEN) {
+      // A trial that never reported back (e.g. a returned 429) is replaced after a cooldown
+      if (this.trialStartedAt !== null && Date.now() - this.trialStartedAt < this.cooldownMs) {
+        return false;
+      }
+      this.trialStartedAt = Date.now();
+    }
+    return true;
+  }
+
+  /**
+   * Milliseconds until an open circuit, or a half-open one with a trial in flight, allows a request
+   */
+  getRetryIn() {
+    if (this.state === CircuitState.HALF_OPEN && this.trialStartedAt !== null) {
+      return Math.max(0, this.trialStartedAt + this.cooldownMs - Date.now());
+    }
+    return this.state === CircuitState.OPEN ? Math.max(0, this.openedAt + this.cooldownMs - Date.now()) : 0;
+  }
+
+  /**
+   * Let another request be the trial when the trial request was cancelled
+   */
+  cancelTrial() {
+    this.trialStartedAt = null;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== CircuitState.CLOSED) {
+      this.setState(CircuitState.CLOSED);
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.setState(CircuitState.OPEN);
+    }
+  }
+
+  setState(state) {
+    const previous = this.state;
+    this.state = state;
+    this.trialStartedAt = null;
+
+    if (state === CircuitState.OPEN) {
+      const message = `GitHub API unavailable after ${this.failures} failed requests, pausing requests for ${Math.round(this.cooldownMs / 1000)}s`;
+      // Logs the error as well
+      errorService.showUIError(message, {
+        severity: ErrorSeverity.WARNING,
+        category: ErrorCategory.NETWORK,
+        context: { circuitState: state, previousState: previous, failures: this.failures },
+        autoHide: true,
+        duration: 8000
+      });
+    } else if (previous !== state) {
+      errorService.logError(`GitHub API circuit ${state}`, {
+        category: ErrorCategory.NETWORK,
+        severity: ErrorSeverity.INFO,
+        context: { circuitState: state, previousState: previous }
+      });
+    }
+  }
+}
+
+// Shared by every GitHubClient so all dashboards back off together
+export const githubCircuitBreaker = new CircuitBreaker();
@@ -0,0 +1,273 @@
+/**
+ * Search query language for the PR list
+ *
+ * A GitHub-like syntax parsed into a filter AST:
+ * - Free text matches title, author login/name and repository
+ * - "quoted phrases" match as a whole
+ * - Qualifiers: author:, org:, repo:, label:, review:, ci:, draft:, age:, is:
+ * - A leading `-` negates a term, e.g. `-label:wip` or `-"do not merge"`
+ * - All terms must match
+ */
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const REVIEW_STATES = {
+  approved: 'APPROVED',
+  changes_requested: 'CHANGES_REQUESTED',
+  pending: 'PENDING'
+};
+
+const CI_STATES = ['success', 'failure', 'pending', 'none'];
+const IS_VALUES = ['mine', 'draft', 'stale'];
+
+export const QUALIFIERS = {
+  author: 'Author login',
+  org: 'Organization',
+  repo: 'Repository name',
+  label: 'Label name',
+  review: 'approved, changes_requested or pending',
+  ci: 'success, failure, pending or none',
+  draft: 'true or false',
+  age: 'e.g. >7d, <12h, >=2w',
+  is: 'mine, draft or stale'
+};
+
+/**
+ * Split a query into raw terms, keeping quoted phrases together
+ * @param {string} input - Search query
+ * @returns {Array<{negated: boolean, key: string|null, value: string, quoted: boolean}>}
+ */
+export function tokenizeSearchQuery(input) {
+  const tokens = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const [, negation, key, quotedValue, value] = match;
+    const isQualifier = key && Object.hasOwn(QUALIFIERS, key.toLowerCase());
+    tokens.push({
+      negated: negation === '-',
+      // Unknown `foo:bar` terms are searched as text
+      key: isQualifier ? key.toLowerCase() : null,
+      value: isQualifier ?
+        (quotedValue ?? value ?? '') :
+        (key ? `${key}:` : '') + (quotedValue ?? value ?? ''),
+      quoted: quotedValue !== undefined
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an age comparison like `>7d`
+ * @returns {{operator: string, ms: number}|null}
+ */
+function parseAgeComparison(value) {
+  const match = /^(>=|<=|>|<)?(\d+(?:\.\d+)?)([mhdw])$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, operator = '>', amount, unit] = match;
+  return { operator, ms: parseFloat(amount) * DURATION_UNITS[unit.toLowerCase()] };
+}
+
+/**
+ * Build the node of a single qualifier term
+ * @returns {Object|string} Node, or an error message
+ */
+function parseQualifier(key, value) {
+  const normalized = value.toLowerCase();
+
+  switch (key) {
+    case 'author':
+    case 'org':
+    case 'repo':
+    case 'label':
+      return value ? { type: key, value: normalized } : `${key}: needs a value`;
+    case 'review':
+      return REVIEW_STATES[normalized] ?
+        { type: 'review', value: REVIEW_STATES[normalized] } :
+        `review:${value} is not one of ${Object.keys(REVIEW_STATES).join(', ')}`;
+    case 'ci':
+      return CI_STATES.includes(normalized) ?
+        { type: 'ci', value: normalized } :
+        `ci:${value} is not one of ${CI_STATES.join(', ')}`;
+    case 'draft':
+      return normalized === 'true' || normalized === 'false' ?
+        { type: 'draft', value: normalized === 'true' } :
+        `draft:${value} must be true or false`;
+    case 'age': {
+      const comparison = parseAgeComparison(value);
+      return comparison ?
+        { type: 'age', ...comparison } :
+        `age:${value} must look like >7d, <12h or >=2w`;
+    }
+    case 'is':
+      return IS_VALUES.includes(normalized) ?
+        { type: 'is', value: normalized } :
+        `is:${value} is not one of ${IS_VALUES.join(', ')}`;
+    default:
+      return `Unknown qualifier ${key}:`;
+  }
+}
+
+/**
+ * Parse a search query into a filter AST
+ * @param {string} input - Search query
+ * @returns {{type: 'and', terms: Array<Object>, errors: Array<string>}}
+ *   Terms that fail to parse are left out and reported in `errors`
+ */
+export function parseSearchQuery(input = '') {
+  const terms = [];
+  const errors = [];
+
+  tokenizeSearchQuery(input).forEach(token => {
+    let node;
+    if (token.key) {
+      node = parseQualifier(token.key, token.value);
+    } else if (token.value) {
+      node = { type: 'text', value: token.value.toLowerCase() };
+    } else {
+      return;
+    }
+
+    if (typeof node === 'string') {
+      errors.push(node);
+      return;
+    }
+    terms.push(token.negated ? { type: 'not', term: node } : node);
+  });
+
+  return { type: 'and', terms, errors };
+}
+
+function compare(operator, actual, expected) {
+  switch (operator) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a filter AST node against a pull request
+ * @param {Object} node - Node returned by parseSearchQuery
+ * @param {Object} pr - Pull request row
+ * @param {Object} context - Evaluation context
+ * @param {string|null} context.currentLogin - Login of the token's user, for is:mine
+ * @param {Function} context.isStale - Whether a PR counts as stale, for is:stale
+ * @param {number} context.now - Reference time in ms, for age:
+ * @returns {boolean}
+ */
+export function matchesSearchQuery(node, pr, context = {}) {
+  switch (node.type) {
+    case 'and':
+      return node.terms.every(term => matchesSearchQuery(term, pr, context));
+    case 'not':
+      return !matchesSearchQuery(node.term, pr, context);
+    case 'text':
+      return pr.title.toLowerCase().includes(node.value) ||
+        pr.user.login.toLowerCase().includes(node.value) ||
+        (pr.user.name || '').toLowerCase().includes(node.value) ||
+        pr.repoName.toLowerCase().includes(node.value);
+    case 'author':
+      return pr.user.login.toLowerCase() === node.value;
+    case 'org':
+      return (pr.orgName || '').toLowerCase() === node.value;
+    case 'repo':
+      return pr.repoName.toLowerCase() === node.value;
+    case 'label':
+      return pr.labels.some(label => label.name.toLowerCase() === node.value);
+    case 'review':
+      return pr.reviewState === node.value;
+    case 'ci':
+      return (pr.checks?.state || 'none') === node.value;
+    case 'draft':
+      return Boolean(pr.isDraft) === node.value;
+    case 'age':
+      return compare(node.operator, (context.now ?? Date.now()) - new Date(pr.created_at).getTime(), node.ms);
+    case 'is':
+      if (node.value === 'mine') {
+        return Boolean(context.currentLogin) && pr.user.login === context.currentLogin;
+      }
+      if (node.value === 'draft') {
+        return Boolean(pr.isDraft);
+      }
+      return Boolean(context.isStale?.(pr));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Autocomplete suggestions for the term under the cursor
+ * @param {string} input - Search query
+ * @param {number} cursor - Caret position in the input
+ * @param {Object} values - Values of the loaded PRs
+ * @param {Array<string>} values.authors - Author logins
+ * @param {Array<string>} values.orgs - Organizations
+ * @param {Array<string>} values.repos - Repository names
+ * @param {Array<string>} values.labels - Label names
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {{start: number, end: number, suggestions: Array<{text: string, description: string}>}}
+ *   Replacing input[start, end) with a suggestion's text completes the term
+ */
+export function getSearchSuggestions(input, cursor, values, limit = 8) {
+  // The current term starts after the last space before the caret that is not inside quotes
+  let termStart = 0;
+  let inQuotes = false;
+  for (let i = 0; i < cursor; i++) {
+    if (input[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && /\s/.test(input[i])) {
+      termStart = i + 1;
+    }
+  }
+  const end = cursor + /^\S*/.exec(input.slice(cursor))[0].length;
+
+  const term = input.slice(termStart, cursor);
+  const negation = term.startsWith('-') ? '-' : '';
+  const body = term.slice(negation.length);
+  const colon = body.indexOf(':');
+
+  let suggestions;
+  if (colon === -1) {
+    const partial = body.toLowerCase();
+    suggestions = Object.entries(QUALIFIERS)
+      .filter(([key]) => key.startsWith(partial) && key !== partial)
+      .map(([key, description]) => ({ text: `${negation}${key}:`, description }));
+  } else {
+    const key = body.slice(0, colon).toLowerCase();
+    const partial = body.slice(colon + 1).replace(/^"/, '').toLowerCase();
+    const options = {
+      author: values.authors,
+      org: values.orgs || [],
+      repo: values.repos,
+      label: values.labels,
+      review: Object.keys(REVIEW_STATES),
+      ci: CI_STATES,
+      draft: ['true', 'false'],
+      age: ['>1d', '>7d', '>30d', '<1d'],
+      is: IS_VALUES
+    }[key] || [];
+
+    suggestions = [...new Set(options)]
+      .filter(option => option.toLowerCase().startsWith(partial) && option.toLowerCase() !== partial)
+      .sort((a, b) => a.localeCompare(b))
+      .map(option => ({
+        text: `${negation}${key}:${/\s/.test(option) ? `"${option}"` : option}`,
+        description: QUALIFIERS[key] || ''
+      }));
+  }
+
+  return { start: termStart, end, suggestions: suggestions.slice(0, limit) };
+}
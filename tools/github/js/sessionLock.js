@@ -0,0 +1,171 @@
+/**
+ * Session lock
+ *
+ * Runs before a dashboard starts: takes a token passed in the URL, asks for a
+ * passphrase to store it encrypted, and asks for the passphrase again when a
+ * new session starts or the last one locked itself after being idle.
+ */
+
+import { createLockScreen } from './components.js';
+import { loadSettings, updateSettings } from './settings.js';
+import {
+  decryptToken,
+  encryptToken,
+  endSession,
+  getSession,
+  getSessionToken,
+  isSessionIdle,
+  startSession,
+  takeTokenFromUrl,
+  touchSession,
+  validatePassphrase
+} from './tokenVault.js';
+
+// Activity checks are cheap, but storing every mouse move is not
+const ACTIVITY_THROTTLE_MS = 30 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * Show the lock screen until the user unlocks, protects or skips
+ * @param {'unlock'|'protect'} mode - Enter the passphrase of the stored token, or choose one for a new token
+ * @returns {Promise<void>}
+ */
+function showLockScreen(mode) {
+  const container = document.getElementById('lockScreen');
+  if (!container) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const render = (error = '') => {
+      container.innerHTML = createLockScreen(mode, error);
+      container.classList.remove('hidden');
+      container.querySelector('input')?.focus();
+    };
+    const done = () => {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      resolve();
+    };
+
+    container.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const data = new FormData(e.target);
+      const passphrase = String(data.get('passphrase'));
+      e.target.querySelector('[type="submit"]').disabled = true;
+
+      try {
+        if (mode === 'unlock') {
+          startSession(await decryptToken(loadSettings().encryptedToken, passphrase));
+        } else {
+          const error = validatePassphrase(passphrase, String(data.get('confirmation')));
+          if (error) {
+            render(error);
+            return;
+          }
+          const token = getSessionToken();
+          updateSettings({ encryptedToken: await encryptToken(token, passphrase) });
+          startSession(token);
+        }
+        done();
+      } catch (error) {
+        render(error.message);
+      }
+    });
+
+    container.addEventListener('click', (e) => {
+      switch (e.target.closest('[data-lock-action]')?.dataset.lockAction) {
+        case 'skip':
+          // Keep the token for this tab only
+          startSession(getSessionToken());
+          done();
+          break;
+        case 'forget':
+          if (confirm('Forget the stored token? You will need to enter it again.')) {
+            updateSettings({ encryptedToken: null });
+            done();
+          }
+          break;
+      }
+    });
+
+    render();
+  });
+}
+
+/**
+ * Make the token available through getSessionToken, asking for the passphrase if needed
+ * Resolves without a token if there is none or the user chose to forget it.
+ * @returns {Promise<void>}
+ */
+export async function unlockSession() {
+  // Migrating older settings may start a session with their plaintext token
+  const { encryptedToken, idleLockMinutes } = loadSettings();
+
+  const urlToken = takeTokenFromUrl();
+  if (urlToken) {
+    startSession(urlToken, { pendingEncryption: true });
+  }
+
+  let session = getSession();
+  if (session && isSessionIdle(session, idleLockMinutes)) {
+    endSession();
+    session = null;
+  }
+
+  if (session?.pendingEncryption) {
+    await showLockScreen('protect');
+  } else if (!session && encryptedToken) {
+    await showLockScreen('unlock');
+  }
+}
+
+/**
+ * Lock the dashboard now; tokens not stored encrypted are gone afterwards
+ */
+export function lockSession() {
+  endSession();
+  window.location.reload();
+}
+
+/**
+ * Lock the session after a period without user activity
+ * @param {number} idleMinutes - Idle timeout, 0 disables locking
+ * @returns {Function} Stops watching for idleness
+ */
+export function startIdleLock(idleMinutes) {
+  if (!(idleMinutes > 0) || !getSession()) {
+    return () => {};
+  }
+
+  let lastTouch = 0;
+  const onActivity = () => {
+    const now = Date.now();
+    if (now - lastTouch > ACTIVITY_THROTTLE_MS) {
+      lastTouch = now;
+      touchSession();
+    }
+  };
+  const check = () => {
+    const session = getSession();
+    if (!session || isSessionIdle(session, idleMinutes)) {
+      lockSession();
+    }
+  };
+  // Timers do not run while the computer sleeps, check again when the tab is back
+  const onVisibilityChange = () => {
+    if (!document.hidden) {
+      check();
+    }
+  };
+
+  ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, onActivity, { passive: true }));
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  const timer = setInterval(check, ACTIVITY_THROTTLE_MS);
+
+  return () => {
+    ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, onActivity));
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * Dashboard settings
+ *
+ * All user configuration of both dashboards lives in one versioned object
+ * under `gh-dashboard-settings`. Settings of older versions, including the
+ * separate localStorage keys used before the object existed, are migrated
+ * on first load. Edited through the settings modal (see BaseDashboard.setupSettingsModal).
+ * The token is only stored encrypted, see tokenVault.js.
+ */
+
+import { DEFAULT_REFRESH_MINUTES } from './refreshScheduler.js';
+import { startSession } from './tokenVault.js';
+
+export const SETTINGS_STORAGE_KEY = 'gh-dashboard-settings';
+export const SETTINGS_VERSION = 2;
+
+// Keys replaced by the settings object, removed once migrated
+const LEGACY_KEYS = {
+  config: 'gh-dashboard-config',
+  cacheMinutes: 'gh-dashboard-cache-minutes',
+  prCacheMinutes: 'gh-dashboard-pr-cache-duration',
+  userCacheDays: 'gh-dashboard-user-cache-days',
+  actionsCacheMinutes: 'gh-dashboard-actions-cache-minutes',
+  reposPerPage: 'gh-dashboard-repos-per-page',
+  refreshMinutes: 'gh-dashboard-refresh-minutes',
+  staleDays: 'gh-dashboard-stale-days',
+  reviewSlaHours: 'gh-dashboard-review-sla-hours'
+};
+
+// Cache types with a configurable duration, in the order shown in the settings modal
+export const CACHE_TYPES = {
+  pr: 'Pull requests',
+  repos: 'Repositories',
+  org: 'Organization',
+  user: 'Users',
+  actions: 'Actions'
+};
+
+export function getDefaultSettings() {
+  return {
+    version: SETTINGS_VERSION,
+    // Token record from encryptToken, null if no token is stored
+    encryptedToken: null,
+    // Lock the session after this many minutes without activity, 0 never locks
+    idleLockMinutes: 30,
+    orgNames: [],
+    // Minutes, same defaults as the CacheService
+    cacheMinutes: {
+      pr: 60,
+      repos: 120,
+      org: 240,
+      user: 1440,
+      actions: 30
+    },
+    refreshMinutes: DEFAULT_REFRESH_MINUTES,
+    reposPerPage: 20,
+    // Recent runs fetched per workflow for the trend sparkline
+    runHistoryLength: 20,
+    // PRs of these accounts are always hidden; Renovate and Dependabot have their own toggles
+    hiddenBotAccounts: [],
+    staleDays: 14,
+    reviewSlaHours: 24
+  };
+}
+
+function readLegacyNumber(key) {
+  const value = parseInt(localStorage.getItem(key));
+  return value > 0 || value === 0 ? value : null;
+}
+
+/**
+ * Build version 1 settings from the separate localStorage keys used before
+ */
+function migrateLegacyKeys() {
+  const settings = { ...getDefaultSettings(), version: 1, token: '' };
+
+  try {
+    const config = JSON.parse(localStorage.getItem(LEGACY_KEYS.config)) || {};
+    settings.token = config.token || '';
+    settings.orgNames = config.orgNames || (config.orgName ? [config.orgName] : []);
+  } catch (error) {
+    console.warn('Failed to migrate the dashboard config', error);
+  }
+
+  const cacheMinutes = readLegacyNumber(LEGACY_KEYS.cacheMinutes);
+  if (cacheMinutes) {
+    settings.cacheMinutes.pr = cacheMinutes;
+    settings.cacheMinutes.repos = cacheMinutes * 2; // repos cached longer than PRs
+  }
+  // The PR list input of the dashboard
+  const prCacheMinutes = readLegacyNumber(LEGACY_KEYS.prCacheMinutes);
+  if (prCacheMinutes) {
+    settings.cacheMinutes.pr = prCacheMinutes;
+  }
+  const userCacheDays = readLegacyNumber(LEGACY_KEYS.userCacheDays);
+  if (userCacheDays) {
+    settings.cacheMinutes.user = userCacheDays * 24 * 60;
+  }
+  const actionsCacheMinutes = readLegacyNumber(LEGACY_KEYS.actionsCacheMinutes);
+  if (actionsCacheMinutes) {
+    settings.cacheMinutes.actions = actionsCacheMinutes;
+  }
+
+  settings.reposPerPage = readLegacyNumber(LEGACY_KEYS.reposPerPage) || settings.reposPerPage;
+  settings.refreshMinutes = readLegacyNumber(LEGACY_KEYS.refreshMinutes) ?? settings.refreshMinutes;
+  settings.staleDays = readLegacyNumber(LEGACY_KEYS.staleDays) || settings.staleDays;
+  settings.reviewSlaHours = readLegacyNumber(LEGACY_KEYS.reviewSlaHours) || settings.reviewSlaHours;
+
+  return settings;
+}
+
+/**
+ * Bring stored settings of any version up to the current one
+ * @param {Object|null} stored - Parsed settings object, null if there is none yet
+ * @returns {Object} Settings of SETTINGS_VERSION
+ */
+export function migrateSettings(stored) {
+  // Version 0: separate localStorage keys
+  const settings = stored?.version ? { ...stored } : migrateLegacyKeys();
+
+  // Version 2: the plaintext token moves to the session until the user picks a passphrase to encrypt it
+  if (settings.version < 2) {
+    if (settings.token) {
+      startSession(settings.token, { pendingEncryption: true });
+    }
+    delete settings.token;
+  }
+
+  const defaults = getDefaultSettings();
+  return {
+    ...defaults,
+    ...settings,
+    cacheMinutes: { ...defaults.cacheMinutes, ...settings.cacheMinutes },
+    version: SETTINGS_VERSION
+  };
+}
+
+let cachedSettings = null;
+
+// Another tab saved settings (or cleared the storage), read them again on next use
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key === SETTINGS_STORAGE_KEY || e.key === null) {
+      cachedSettings = null;
+    }
+  });
+}
+
+/**
+ * Current settings, migrated and completed with defaults
+ * @returns {Object}
+ */
+export function loadSettings() {
+  if (cachedSettings) {
+    return cachedSettings;
+  }
+
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+  } catch (error) {
+    console.warn('Failed to parse dashboard settings', error);
+  }
+
+  cachedSettings = migrateSettings(stored);
+  if (stored?.version !== SETTINGS_VERSION) {
+    saveSettings(cachedSettings);
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+  }
+
+  return cachedSettings;
+}
+
+/**
+ * Persist settings, validate them first with validateSettings
+ * @param {Object} settings - Complete settings object
+ */
+export function saveSettings(settings) {
+  cachedSettings = { ...settings, version: SETTINGS_VERSION };
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(cachedSettings));
+}
+
+/**
+ * Change some settings, keeping the others as currently stored
+ * @param {Object} changes - Settings to change
+ */
+export function updateSettings(changes) {
+  // Re-read the store, another tab may have saved since the `storage` event was handled
+  cachedSettings = null;
+  saveSettings({ ...loadSettings(), ...changes });
+}
+
+const ORG_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})$/i;
+const ACCOUNT_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})(?:\[bot\])?$/i;
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check settings entered in the settings modal
+ * @param {Object} settings - Complete settings object
+ * @returns {Object} Error message per invalid field, e.g. `{ 'cacheMinutes.pr': '...' }`; empty if valid
+ */
+export function validateSettings(settings) {
+  const errors = {};
+
+  if (!settings.orgNames.length) {
+    errors.orgNames = 'Enter at least one organization';
+  } else {
+    const invalid = settings.orgNames.filter(org => !ORG_PATTERN.test(org));
+    if (invalid.length) {
+      errors.orgNames = `Not a valid organization name: ${invalid.join(', ')}`;
+    }
+  }
+
+  Object.keys(CACHE_TYPES).forEach(type => {
+    if (!isIntegerInRange(settings.cacheMinutes[type], 1, 7 * 24 * 60)) {
+      errors[`cacheMinutes.${type}`] = 'Whole minutes between 1 and 10080 (one week)';
+    }
+  });
+
+  if (!isIntegerInRange(settings.idleLockMinutes, 0, 24 * 60)) {
+    errors.idleLockMinutes = 'Whole minutes between 0 (never) and 1440';
+  }
+  if (!isIntegerInRange(settings.refreshMinutes, 0, 24 * 60)) {
+    errors.refreshMinutes = 'Whole minutes between 0 (off) and 1440';
+  }
+  if (!isIntegerInRange(settings.reposPerPage, 1, 1000)) {
+    errors.reposPerPage = 'Between 1 and 1000';
+  }
+
+  if (!isIntegerInRange(settings.runHistoryLength, 1, 100)) {
+    errors.runHistoryLength = 'Between 1 and 100';
+  }
+
+  const invalidAccounts = settings.hiddenBotAccounts.filter(account => !ACCOUNT_PATTERN.test(account));
+  if (invalidAccounts.length) {
+    errors.hiddenBotAccounts = `Not a valid account name: ${invalidAccounts.join(', ')}`;
+  }
+
+  if (!isIntegerInRange(settings.staleDays, 1, 365)) {
+    errors.staleDays = 'Whole days between 1 and 365';
+  }
+  if (!isIntegerInRange(settings.reviewSlaHours, 1, 24 * 30)) {
+    errors.reviewSlaHours = 'Whole hours between 1 and 720';
+  }
+
+  return errors;
+}
@@ -0,0 +1,177 @@
+/**
+ * Cross-tab synchronization service
+ *
+ * Connects all open dashboard tabs (PR and Actions dashboards alike):
+ * - Broadcasts messages over a BroadcastChannel (cache writes, filter changes, ...)
+ * - Elects a leader tab per dashboard through the Web Locks API; only the leader
+ *   should run scheduled work against the GitHub API. Only visible tabs take
+ *   part, a tab that gets hidden hands leadership to a visible one.
+ *
+ * Without BroadcastChannel, messages are simply not delivered. Without Web
+ * Locks, every tab considers itself the leader (the single-tab behavior).
+ */
+
+const CHANNEL_NAME = 'gh-dashboard-sync';
+const LEADER_LOCK_PREFIX = 'gh-dashboard-leader';
+
+// Message types shared between the services that use the channel
+export const SyncMessage = {
+  CACHE_SET: 'cache-set',
+  CACHE_REMOVE: 'cache-remove',
+  CACHE_CLEAR: 'cache-clear',
+  FILTERS_CHANGED: 'filters-changed',
+  PRESETS_CHANGED: 'presets-changed'
+};
+
+class TabSync {
+  constructor() {
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.handlers = new Map();
+    this.leadershipListeners = new Set();
+    this.leader = false;
+    this.lockName = null;
+    this.lockRequest = null;
+    this.releaseLock = null;
+
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    if (this.channel) {
+      this.channel.onmessage = (event) => this._handleMessage(event.data);
+    }
+  }
+
+  /**
+   * Send a message to every other tab
+   * @param {string} type Message type, see SyncMessage
+   * @param {Object} payload Structured-cloneable payload
+   */
+  publish(type, payload = {}) {
+    if (!this.channel) {
+      return;
+    }
+
+    try {
+      this.channel.postMessage({ type, payload, sender: this.tabId, sentAt: Date.now() });
+    } catch (e) {
+      console.warn(`Failed to broadcast ${type} to other tabs`, e);
+    }
+  }
+
+  /**
+   * Handle messages of a type sent by other tabs
+   * @param {string} type Message type, see SyncMessage
+   * @param {Function} handler Called with (payload, message)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  _handleMessage(message) {
+    if (!message || message.sender === this.tabId) {
+      return;
+    }
+
+    this.handlers.get(message.type)?.forEach(handler => {
+      try {
+        handler(message.payload, message);
+      } catch (e) {
+        console.error(`Error in tab sync handler for ${message.type}:`, e);
+      }
+    });
+  }
+
+  /**
+   * Whether this tab is the one that should perform scheduled work
+   */
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Listen for this tab gaining leadership
+   * @param {Function} listener Called with the new leadership state
+   * @returns {Function} Unsubscribe function
+   */
+  onLeadershipChange(listener) {
+    this.leadershipListeners.add(listener);
+    return () => this.leadershipListeners.delete(listener);
+  }
+
+  _setLeader(isLeader) {
+    if (this.leader === isLeader) {
+      return;
+    }
+
+    this.leader = isLeader;
+    this.leadershipListeners.forEach(listener => {
+      try {
+        listener(isLeader);
+      } catch (e) {
+        console.error('Error in leadership listener:', e);
+      }
+    });
+  }
+
+  /**
+   * Take part in the leader election of a dashboard. Tabs of other dashboards,
+   * or of the same dashboard showing other organizations, elect their own leader.
+   * @param {string} scope Name of the dashboard and its organizations
+   */
+  joinElection(scope) {
+    if (this.lockName) {
+      return;
+    }
+    this.lockName = `${LEADER_LOCK_PREFIX}-${scope}`;
+
+    if (!navigator.locks?.request) {
+      this._setLeader(true);
+      return;
+    }
+
+    const followVisibility = () => (document.hidden ? this._resign() : this._requestLeadership());
+    document.addEventListener('visibilitychange', followVisibility);
+    followVisibility();
+  }
+
+  /**
+   * Queue for the leader lock; it is held until the tab gets hidden or closes,
+   * at which point the browser hands it to the next waiting tab
+   */
+  _requestLeadership() {
+    if (this.lockRequest) {
+      return;
+    }
+
+    const request = this.lockRequest = new AbortController();
+    navigator.locks.request(this.lockName, { signal: request.signal }, () => {
+      this._setLeader(true);
+      return new Promise(resolve => { this.releaseLock = resolve; });
+    }).catch(e => {
+      if (e.name === 'AbortError') {
+        return;
+      }
+      console.warn('Leader election failed, acting as leader', e);
+      this._setLeader(true);
+    });
+  }
+
+  /**
+   * Leave the queue, or give up the lock if this tab holds it
+   */
+  _resign() {
+    this.lockRequest?.abort();
+    this.lockRequest = null;
+    this.releaseLock?.();
+    this.releaseLock = null;
+    this._setLeader(false);
+  }
+}
+
+// Create and export a singleton instance
+const tabSync = new TabSync();
+export default tabSync;
@@ -0,0 +1,178 @@
+/**
+ * Token vault
+ *
+ * The GitHub token is stored encrypted with AES-GCM under a key derived from a
+ * user passphrase (PBKDF2). Once unlocked it is kept for the lifetime of the
+ * browser tab in sessionStorage, together with the time of the last user
+ * activity so the session can lock itself when idle (see sessionLock.js).
+ */
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SESSION_STORAGE_KEY = 'gh-dashboard-session';
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a token with a passphrase
+ * @param {string} token - GitHub token
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Record to store, safe to keep in localStorage
+ */
+export async function encryptToken(token, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(token));
+
+  return {
+    version: VAULT_VERSION,
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a record created by encryptToken
+ * @param {Object} record - Stored record
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} The token
+ * @throws {Error} If the passphrase is wrong or the record is damaged
+ */
+export async function decryptToken(record, passphrase) {
+  if (record?.version !== VAULT_VERSION) {
+    throw new Error('The stored token cannot be read, forget it and enter it again');
+  }
+
+  try {
+    const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(record.iv) },
+      key,
+      fromBase64(record.ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    // AES-GCM authentication fails for a wrong passphrase
+    throw new Error('Wrong passphrase');
+  }
+}
+
+/**
+ * @param {string} passphrase - New passphrase
+ * @param {string} confirmation - The passphrase typed again
+ * @returns {string|null} Error message, null if the passphrase can be used
+ */
+export function validatePassphrase(passphrase, confirmation) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  if (passphrase !== confirmation) {
+    return 'The passphrases do not match';
+  }
+  return null;
+}
+
+/**
+ * The unlocked session of this tab
+ * @returns {{token: string, lastActivity: number, pendingEncryption: boolean}|null}
+ */
+export function getSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Token of the unlocked session, if any
+ * @returns {string|undefined}
+ */
+export function getSessionToken() {
+  return getSession()?.token || undefined;
+}
+
+/**
+ * Unlock the session with a token
+ * @param {string} token - GitHub token
+ * @param {Object} options - Session options
+ * @param {boolean} options.pendingEncryption - The token is not stored encrypted yet, ask for a passphrase
+ */
+export function startSession(token, { pendingEncryption = false } = {}) {
+  sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+    token,
+    lastActivity: Date.now(),
+    pendingEncryption
+  }));
+}
+
+/**
+ * Record user activity, postponing the idle lock
+ */
+export function touchSession() {
+  const session = getSession();
+  if (session) {
+    session.lastActivity = Date.now();
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  }
+}
+
+/**
+ * Lock: forget the decrypted token
+ */
+export function endSession() {
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * @param {Object} session - Session from getSession
+ * @param {number} idleMinutes - Idle timeout, 0 never locks
+ * @param {number} now - Reference time in ms
+ */
+export function isSessionIdle(session, idleMinutes, now = Date.now()) {
+  return idleMinutes > 0 && now - session.lastActivity > idleMinutes * 60 * 1000;
+}
+
+/**
+ * Read `?token=` and remove it from the address bar (and so from the browser history) right away
+ * @returns {string|null} The token from the URL, if any
+ */
+export function takeTokenFromUrl() {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get('token');
+  if (token === null) {
+    return null;
+  }
+
+  url.searchParams.delete('token');
+  history.replaceState(history.state, '', url.toString());
+  return token.trim() || null;
+}
@@ -0,0 +1,112 @@
+/**
+ * Filter state in the URL hash
+ *
+ * Makes filtered views shareable as links, e.g.
+ * `index.html#labels=release&reviewStates=APPROVED&search=repo:api`.
+ * Only keys present in the defaults are serialized, and only when they differ
+ * from them. Arrays repeat their key, booleans are written as 1/0.
+ * The token is never written to or read from the hash.
+ */
+
+const EXCLUDED_KEYS = new Set(['token']);
+
+/**
+ * Serialize filter state into a hash string (without the leading `#`)
+ * @param {Object} state - Filter state with plain values (arrays, booleans, strings)
+ * @param {Object} defaults - Default filter state, defines the known keys and their types
+ * @returns {string}
+ */
+export function serializeFilterState(state, defaults) {
+  const params = new URLSearchParams();
+
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    const value = state[key] ?? defaultValue;
+    if (EXCLUDED_KEYS.has(key) || JSON.stringify(value) === JSON.stringify(defaultValue)) {
+      return;
+    }
+
+    if (Array.isArray(defaultValue)) {
+      value.forEach(item => params.append(key, item));
+      // Keep an explicitly emptied list that defaults to a non-empty one
+      if (!value.length) {
+        params.append(key, '');
+      }
+    } else if (typeof defaultValue === 'boolean') {
+      params.set(key, value ? '1' : '0');
+    } else {
+      params.set(key, value);
+    }
+  });
+
+  return params.toString();
+}
+
+/**
+ * Parse filter state from a hash string
+ * @param {string} hash - Hash with or without the leading `#`
+ * @param {Object} defaults - Default filter state, defines the known keys and their types
+ * @returns {Object|null} The filters found in the hash, null if there are none
+ */
+export function parseFilterState(hash, defaults) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    if (EXCLUDED_KEYS.has(key) || !params.has(key)) {
+      return;
+    }
+
+    if (Array.isArray(defaultValue)) {
+      state[key] = params.getAll(key).filter(Boolean);
+    } else if (typeof defaultValue === 'boolean') {
+      state[key] = params.get(key) === '1';
+    } else {
+      state[key] = params.get(key);
+    }
+  });
+
+  return Object.keys(state).length ? state : null;
+}
+
+/**
+ * Filters in the hash of the current URL
+ * @param {Object} defaults - Default filter state
+ * @returns {Object|null}
+ */
+export function readFilterHash(defaults) {
+  return parseFilterState(window.location.hash, defaults);
+}
+
+/**
+ * Write filter state to the hash of the current URL
+ * @param {Object} state - Filter state
+ * @param {Object} defaults - Default filter state
+ * @param {Object} options - Write options
+ * @param {boolean} options.push - Add a history entry so back/forward steps through filter changes,
+ *   otherwise the current entry is replaced (e.g. while typing a search)
+ */
+export function writeFilterHash(state, defaults, { push = false } = {}) {
+  const hash = serializeFilterState(state, defaults);
+  if (hash === window.location.hash.replace(/^#/, '')) {
+    return;
+  }
+
+  const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+  if (push) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(history.state, '', url);
+  }
+}
+
+/**
+ * Listen for hash changes from back/forward navigation or edits of the address bar
+ * @param {Object} defaults - Default filter state
+ * @param {Function} listener - Called with the full filter state (defaults merged with the hash)
+ * @returns {Function} Unsubscribe function
+ */
+export function onFilterHashChange(defaults, listener) {
+  const handler = () => listener({ ...defaults, ...readFilterHash(defaults) });
+  window.addEventListener('popstate', handler);
+  return () => window.removeEventListener('popstate', handler);
+}
@@ -0,0 +1,112 @@
+/**
+ * Workflow run history metrics
+ *
+ * Success rate, the current failing streak and flakiness of a workflow, computed
+ * from its most recent runs (newest first, see GitHubActionsAPI.getRepositoryWorkflows).
+ */
+
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+// Share of commits with a flaky outcome from which a workflow counts as flaky
+export const FLAKY_SCORE_THRESHOLD = 0.1;
+
+/**
+ * Keep the fields of a workflow run the history needs
+ * @param {Object} run - Run from the workflow runs endpoint
+ */
+export function toHistoryRun(run) {
+  return {
+    id: run.id,
+    run_number: run.run_number,
+    run_attempt: run.run_attempt,
+    status: run.status,
+    conclusion: run.conclusion,
+    event: run.event,
+    head_branch: run.head_branch,
+    head_sha: run.head_sha,
+    html_url: run.html_url,
+    created_at: run.created_at,
+    run_started_at: run.run_started_at,
+    updated_at: run.updated_at
+  };
+}
+
+export function isFailedRun(run) {
+  return run.status === 'completed' && FAILED_CONCLUSIONS.includes(run.conclusion);
+}
+
+/**
+ * Whether a run says anything about the health of the workflow
+ * Runs still in progress, cancelled or skipped neither pass nor fail it
+ */
+function isDecisiveRun(run) {
+  return run.status === 'completed' && (run.conclusion === 'success' || isFailedRun(run));
+}
+
+/**
+ * Trend of a workflow over its run history
+ * @param {Array<Object>} history - Runs, newest first
+ * @returns {Object} `decisiveRuns` (passed or failed), `successRate` (0..1, null without decisive runs),
+ *   `failingStreak` (failed runs since the last success), `failingSince` (Date of the first run of the streak, or null),
+ *   `streakExceedsHistory` (no success in the history at all, the streak may have started earlier)
+ */
+export function getWorkflowTrend(history = []) {
+  const decisive = history.filter(isDecisiveRun);
+  const passed = decisive.filter(run => run.conclusion === 'success').length;
+
+  const lastSuccess = decisive.findIndex(run => run.conclusion === 'success');
+  const streak = lastSuccess === -1 ? decisive : decisive.slice(0, lastSuccess);
+  const firstFailure = streak[streak.length - 1];
+
+  return {
+    decisiveRuns: decisive.length,
+    successRate: decisive.length ? passed / decisive.length : null,
+    failingStreak: streak.length,
+    failingSince: firstFailure ? new Date(firstFailure.created_at) : null,
+    streakExceedsHistory: lastSuccess === -1 && streak.length > 0
+  };
+}
+
+/**
+ * Flakiness of a workflow: commits whose runs both failed and passed
+ *
+ * A commit counts as flaky when one of its runs failed and a later one passed.
+ * Re-runs alone do not count: the runs endpoint only returns the latest attempt
+ * of a run, and the earlier one may as well have been cancelled or green.
+ * @param {Array<Object>} history - Runs, newest first
+ * @returns {Object} `score` (flaky share of the commits with a passed or failed run, 0..1),
+ *   `flakyCommits`, `commits`, `reruns` (runs with more than one attempt, whatever ended the earlier ones), `isFlaky`
+ */
+export function getFlakiness(history = []) {
+  const runsBySha = new Map();
+  history.filter(isDecisiveRun).forEach(run => {
+    if (!runsBySha.has(run.head_sha)) {
+      runsBySha.set(run.head_sha, []);
+    }
+    runsBySha.get(run.head_sha).push(run);
+  });
+
+  let flakyCommits = 0;
+  runsBySha.forEach(runs => {
+    // Oldest first: a failure followed by a success on the same commit
+    const chronological = [...runs].reverse();
+    const firstFailure = chronological.findIndex(isFailedRun);
+    const passedAfterFailure = firstFailure !== -1 &&
+      chronological.slice(firstFailure + 1).some(run => run.conclusion === 'success');
+
+    if (passedAfterFailure) {
+      flakyCommits++;
+    }
+  });
+
+  const commits = runsBySha.size;
+  const score = commits ? flakyCommits / commits : 0;
+
+  return {
+    score,
+    flakyCommits,
+    commits,
+    reruns: history.filter(run => run.run_attempt > 1).length,
+    isFlaky: flakyCommits > 0 && score >= FLAKY_SCORE_THRESHOLD
+  };
+}
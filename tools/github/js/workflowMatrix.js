@@ -0,0 +1,104 @@
+/**
+ * Workflow matrix
+ *
+ * Lays out workflows as a grid of repositories (rows) by workflow names (columns).
+ * Names are normalized so "CI", "ci.yml" and "Continuous Integration" share a
+ * column, and columns whose names start with the same word ("Deploy staging",
+ * "Deploy production") are grouped under one header.
+ */
+
+// Words that say nothing about what a workflow does
+const NOISE_WORDS = new Set(['workflow', 'workflows', 'yml', 'yaml', 'github', 'action', 'actions', 'pipeline']);
+
+// Spellings of the same thing, applied after tokenizing
+const TOKEN_SYNONYMS = {
+  tests: 'test',
+  testing: 'test',
+  linting: 'lint',
+  linter: 'lint',
+  deployment: 'deploy',
+  deploys: 'deploy',
+  releases: 'release',
+  builds: 'build'
+};
+
+// Multi-word names of the same thing
+const PHRASE_SYNONYMS = [
+  [/\bcontinuous integration\b/, 'ci'],
+  [/\bcontinuous deployment\b/, 'cd'],
+  [/\bcode ql\b/, 'codeql']
+];
+
+/**
+ * Column key of a workflow name, e.g. "Deploy-Staging.yml" → "deploy staging"
+ * @param {string} name - Workflow name
+ * @returns {string}
+ */
+export function normalizeWorkflowName(name) {
+  let normalized = name
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  PHRASE_SYNONYMS.forEach(([pattern, replacement]) => {
+    normalized = normalized.replace(pattern, replacement);
+  });
+
+  const tokens = normalized.split(' ')
+    .map(token => TOKEN_SYNONYMS[token] || token)
+    .filter(token => token && !NOISE_WORDS.has(token));
+
+  // A name made only of noise words keeps them rather than becoming empty
+  return tokens.join(' ') || normalized;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+}
+
+/**
+ * Build the matrix of filtered repositories
+ * @param {Array<{name: string, orgName: string, workflows: Array<Object>}>} repos - Repositories in row order
+ * @returns {{groups: Array<{name: string, label: string, columns: Array<{key: string, label: string}>}>,
+ *   rows: Array<{repo: Object, cells: Object<string, Array<Object>>}>}}
+ *   Groups in display order, most used first; a cell lists the workflows of a repository in a column
+ */
+export function buildWorkflowMatrix(repos) {
+  const columnNames = new Map();
+  const columnRepos = new Map();
+
+  const rows = repos.map(repo => {
+    const cells = {};
+    repo.workflows.forEach(workflow => {
+      const key = normalizeWorkflowName(workflow.workflowName);
+      (cells[key] = cells[key] || []).push(workflow);
+      columnNames.set(key, [...(columnNames.get(key) || []), workflow.workflowName]);
+      columnRepos.set(key, (columnRepos.get(key) || new Set()).add(repo));
+    });
+    return { repo, cells };
+  });
+
+  // Group columns by their first word, "deploy staging" and "deploy production" under "deploy"
+  const groupsByName = new Map();
+  [...columnNames.keys()].forEach(key => {
+    const name = key.split(' ')[0];
+    if (!groupsByName.has(name)) {
+      groupsByName.set(name, { name, columns: [], repos: new Set() });
+    }
+    const group = groupsByName.get(name);
+    group.columns.push({ key, label: mostCommon(columnNames.get(key)) });
+    columnRepos.get(key).forEach(repo => group.repos.add(repo));
+  });
+
+  const groups = [...groupsByName.values()]
+    .sort((a, b) => b.repos.size - a.repos.size || a.name.localeCompare(b.name))
+    .map(({ name, columns }) => ({
+      name,
+      label: name.charAt(0).toUpperCase() + name.slice(1),
+      columns: columns.sort((a, b) => a.key.localeCompare(b.key))
+    }));
+
+  return { groups, rows };
+}
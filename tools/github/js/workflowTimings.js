@@ -0,0 +1,203 @@
+/**
+ * Workflow timing metrics
+ *
+ * Run durations and queue times from the run history of a workflow, the
+ * slowest jobs and steps of a run, and where job time goes across repositories.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Newest runs compared with the older ones for the slowdown trend
+const RECENT_RUNS = 5;
+const MIN_RUNS_PER_SIDE = 3;
+// Recent median this much above the older one counts as a slowdown
+export const SLOWDOWN_THRESHOLD = 1.25;
+
+// Period of the CI minutes breakdown
+export const CI_MINUTES_DAYS = 7;
+
+/**
+ * Value at a percentile, interpolating between the closest ranks; null for an empty list
+ * @param {Array<number>} values - Numbers in any order
+ * @param {number} p - Percentile, 0..100
+ */
+export function percentile(values, p) {
+  if (!values.length) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Format a run, job or step duration, e.g. "45s", "4m 12s", "1h 5m", "2h"
+ * Finer than formatDuration of prMetrics.js, CI times are minutes, not days.
+ */
+export function formatRunDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (ms < MINUTE) {
+    return `${seconds}s`;
+  }
+  if (ms < HOUR) {
+    return `${Math.floor(seconds / 60)}m${seconds % 60 ? ` ${seconds % 60}s` : ''}`;
+  }
+  const minutes = Math.round(ms / MINUTE);
+  return `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}`;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function elapsedMs(from, to) {
+  if (!from || !to) {
+    return null;
+  }
+  const ms = new Date(to) - new Date(from);
+  return ms >= 0 ? ms : null;
+}
+
+/**
+ * Duration of a completed run, null while it runs
+ * Run payloads have no completion time, the last update of a completed run is its end.
+ */
+export function getRunDurationMs(run) {
+  return run.status === 'completed' ? elapsedMs(run.run_started_at, run.updated_at) : null;
+}
+
+/**
+ * Job time of a run: the summed durations of its finished jobs, what runners spend on it.
+ * Parallel and matrix jobs each count, unlike in the wall-clock duration of the run.
+ * @param {Array<Object>} jobs - Jobs from the run jobs endpoint
+ * @returns {number|null} null if no job finished
+ */
+export function getJobTimeMs(jobs) {
+  const durations = jobs.map(job => elapsedMs(job.started_at, job.completed_at)).filter(ms => ms !== null);
+  return durations.length ? durations.reduce((sum, ms) => sum + ms, 0) : null;
+}
+
+/**
+ * Time a run waited for a runner, null for re-runs whose start belongs to a later attempt
+ */
+export function getQueueTimeMs(run) {
+  return run.run_attempt > 1 ? null : elapsedMs(run.created_at, run.run_started_at);
+}
+
+function summarize(values) {
+  return {
+    avgMs: average(values),
+    p50Ms: percentile(values, 50),
+    p95Ms: percentile(values, 95)
+  };
+}
+
+/**
+ * Timings of a workflow over its run history
+ * @param {Array<Object>} history - Runs, newest first
+ * @returns {Object} `duration` and `queue` (`avgMs`, `p50Ms`, `p95Ms`, null without runs), `runs` (completed runs measured),
+ *   `slowdown` (recent median duration over the older one, null with too few runs), `isSlowingDown`
+ */
+export function getWorkflowTimings(history = []) {
+  const durations = history.map(getRunDurationMs).filter(ms => ms !== null);
+  const queueTimes = history.map(getQueueTimeMs).filter(ms => ms !== null);
+
+  const recent = durations.slice(0, RECENT_RUNS);
+  const older = durations.slice(RECENT_RUNS);
+  const olderMedian = percentile(older, 50);
+  const slowdown = recent.length >= MIN_RUNS_PER_SIDE && older.length >= MIN_RUNS_PER_SIDE && olderMedian > 0 ?
+    percentile(recent, 50) / olderMedian :
+    null;
+
+  return {
+    runs: durations.length,
+    duration: summarize(durations),
+    queue: summarize(queueTimes),
+    slowdown,
+    isSlowingDown: slowdown !== null && slowdown >= SLOWDOWN_THRESHOLD
+  };
+}
+
+/**
+ * The slowest jobs of a run and the slowest steps of each
+ * @param {Array<Object>} jobs - Jobs from the run jobs endpoint
+ * @param {number} limit - Jobs, and steps per job, to keep
+ * @returns {Array<{name: string, durationMs: number, steps: Array<{name: string, durationMs: number}>}>}
+ */
+export function getSlowestJobs(jobs, limit = 3) {
+  const bySlowest = (a, b) => b.durationMs - a.durationMs;
+
+  return jobs
+    .map(job => ({
+      name: job.name,
+      durationMs: elapsedMs(job.started_at, job.completed_at),
+      steps: (job.steps || [])
+        .map(step => ({ name: step.name, durationMs: elapsedMs(step.started_at, step.completed_at) }))
+        .filter(step => step.durationMs !== null)
+        .sort(bySlowest)
+        .slice(0, limit)
+    }))
+    .filter(job => job.durationMs !== null)
+    .sort(bySlowest)
+    .slice(0, limit);
+}
+
+/**
+ * Where CI time went: job time of the last days per organization, repository and workflow
+ *
+ * Sampled: only the latest run has its jobs fetched, so every completed run of the
+ * period counts with the job time of the latest completed run (`lastRun.jobTimeMs`),
+ * or with its own wall-clock duration when that is unknown. The run history holds
+ * the latest runs only; a workflow whose whole history falls into the period may
+ * have run more often and is reported as truncated.
+ * @param {Array<{name: string, orgName: string, workflows: Array<Object>}>} repos - Repositories with their workflows
+ * @param {Object} options - Options
+ * @param {Function} options.getRepoLabel - Label of a repository
+ * @param {number} options.days - Period in days
+ * @param {number} options.historyLength - Number of runs fetched per workflow
+ * @param {number} options.now - Reference time in ms
+ * @returns {{totalMs: number, orgs: Array<{label: string, ms: number}>, repos: Array<{label: string, ms: number}>,
+ *   workflows: Array<{label: string, ms: number, truncated: boolean}>, truncatedWorkflows: number}}
+ *   Each list sorted by time spent, without those that spent none
+ */
+export function getCiMinutesBreakdown(repos, options = {}) {
+  const { getRepoLabel = repo => repo.name, days = CI_MINUTES_DAYS, historyLength = Infinity, now = Date.now() } = options;
+  const since = now - days * DAY;
+  const byTimeSpent = (a, b) => b.ms - a.ms;
+  const isInPeriod = run => new Date(run.created_at).getTime() >= since;
+
+  const workflows = repos.flatMap(repo => repo.workflows.map(workflow => {
+    const history = workflow.history || [];
+    const runs = history.filter(run => run.status === 'completed' && isInPeriod(run));
+    const sampleMs = workflow.lastRun.status === 'completed' ? workflow.lastRun.jobTimeMs ?? null : null;
+
+    return {
+      orgLabel: repo.orgName,
+      repoLabel: getRepoLabel(repo),
+      label: `${getRepoLabel(repo)} · ${workflow.workflowName}`,
+      ms: sampleMs !== null ?
+        sampleMs * runs.length :
+        runs.reduce((sum, run) => sum + (getRunDurationMs(run) || 0), 0),
+      truncated: history.length >= historyLength && history.every(isInPeriod)
+    };
+  })).filter(workflow => workflow.ms > 0);
+
+  const totalsBy = field => {
+    const totals = new Map();
+    workflows.forEach(workflow => totals.set(workflow[field], (totals.get(workflow[field]) || 0) + workflow.ms));
+    return [...totals.entries()].map(([label, ms]) => ({ label, ms })).sort(byTimeSpent);
+  };
+
+  return {
+    totalMs: workflows.reduce((sum, workflow) => sum + workflow.ms, 0),
+    orgs: totalsBy('orgLabel'),
+    repos: totalsBy('repoLabel'),
+    workflows: workflows.map(({ label, ms, truncated }) => ({ label, ms, truncated })).sort(byTimeSpent),
+    truncatedWorkflows: workflows.filter(workflow => workflow.truncated).length
+  };
+}